@@ -6,6 +6,7 @@
  * - OTP Verification (Email + SMS)
  * - Multi-factor authentication (MFA)
  * - Biometric authentication support
+ * - Transaction signing key registry (ECDSA P-256)
  * - Social login integration
  * - Session management
  * - OAuth 2.0 / JWT tokens
@@ -310,6 +311,44 @@ class UserAuthenticationSystem {
     return { success: true, credentialId: credential.id };
   }
 
+  /**
+   * Register a user's transaction signing public key. Keys are kept
+   * after rotation so older signatures still verify.
+   * @param {string} userId
+   * @param {string} keyId - JWK thumbprint
+   * @param {object} publicKey - ECDSA P-256 public key as a JWK
+   */
+  async registerSigningKey(userId, keyId, publicKey) {
+    const user = Array.from(this.users.values()).find((u) => u.id === userId);
+
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    user.signingKeys = user.signingKeys || [];
+    if (!user.signingKeys.some((key) => key.keyId === keyId)) {
+      user.signingKeys.push({
+        keyId,
+        algorithm: "ECDSA-P256",
+        publicKey,
+        createdAt: new Date().toISOString(),
+      });
+      await this.saveUsers();
+      console.log(`🔑 Signing key registered for ${userId}`);
+    }
+
+    return { success: true, keyId };
+  }
+
+  /**
+   * Registered signing keys of a user
+   * @returns {Array|null} null when there is no such user
+   */
+  getSigningKeys(userId) {
+    const user = Array.from(this.users.values()).find((u) => u.id === userId);
+    return user ? user.signingKeys || [] : null;
+  }
+
   /**
    * Social login (OAuth 2.0)
    */
@@ -775,10 +814,17 @@ class UserAuthenticationSystem {
   }
 
   async saveUsers() {
-    // Save to Quantum SQL
+    // Save to Quantum SQL (upsert - the primary index on id is unique)
     if (window.QuantumSQL) {
       for (const [email, user] of this.users) {
-        await window.QuantumSQL.insert("users", user);
+        const { updated } = await window.QuantumSQL.update(
+          "users",
+          { id: user.id },
+          user,
+        );
+        if (updated === 0) {
+          await window.QuantumSQL.insert("users", user);
+        }
       }
     }
     // Also save encrypted backup to cloud storage
@@ -801,7 +847,12 @@ class UserAuthenticationSystem {
 
   async loadUsers() {
     if (window.QuantumSQL) {
-      const users = await window.QuantumSQL.select("users");
+      // Every stored user, not select()'s default first page
+      const users = await window.QuantumSQL.select(
+        "users",
+        {},
+        { limit: Infinity },
+      );
       users.forEach((record) => {
         this.users.set(record.data.email, record.data);
       });
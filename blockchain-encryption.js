@@ -8,7 +8,8 @@
  * - Quantum-resistant encryption preparation
  * - Immutable data records
  * - Smart contract execution
- * - Merkle tree verification
+ * - Merkle roots and inclusion proofs per block
+ * - ECDSA P-256 transaction signatures with per-user keys
  *
  * Copyright (c) 2026 The ChitraHarsha VPK Ventures
  * Patent Pending - All Rights Reserved
@@ -22,6 +23,9 @@ class BlockchainEncryptionSystem {
     this.difficulty = 2; // Proof of work difficulty
     this.miningReward = 0;
     this.quantumResistant = true;
+    this.signatureAlgorithm = "ECDSA-P256-SHA256";
+    this.keyCache = new Map(); // userId → Promise of the signing key record
+    this.saveQueue = Promise.resolve(); // saves run one at a time
 
     console.log(`⛓️ Blockchain Encryption System v${this.version} loaded`);
   }
@@ -32,6 +36,9 @@ class BlockchainEncryptionSystem {
   async initialize() {
     console.log("⛓️ Initializing blockchain...");
 
+    // Resume the stored ledger; a fresh genesis block would replace it
+    await this.loadBlockchain();
+
     // Create genesis block
     if (this.blockchain.length === 0) {
       this.createGenesisBlock();
@@ -64,15 +71,15 @@ class BlockchainEncryptionSystem {
       encryptedData = await window.EncryptionModule.encrypt(data);
     }
 
-    // Create transaction
+    // Create and sign transaction
     const transaction = {
       id: this.generateTransactionId(),
       timestamp: Date.now(),
       userId,
       data: encryptedData,
       hash: await this.hashData(JSON.stringify(encryptedData)),
-      signature: await this.signData(encryptedData, userId),
     };
+    Object.assign(transaction, await this.signTransaction(transaction));
 
     // Add to pending transactions
     this.pendingTransactions.push(transaction);
@@ -114,6 +121,7 @@ class BlockchainEncryptionSystem {
               index: block.index,
               hash: block.hash,
               timestamp: block.timestamp,
+              merkleRoot: block.merkleRoot ?? null,
             },
           };
         }
@@ -129,19 +137,31 @@ class BlockchainEncryptionSystem {
   async minePendingTransactions() {
     console.log("⛏️ Mining new block...");
 
-    const block = new Block(
-      this.blockchain.length,
-      this.pendingTransactions,
-      Date.now(),
-      this.getLatestBlock().hash,
-    );
+    // Take the batch first: transactions stored while the Merkle root is
+    // hashed go in the next block. A failed attempt puts it back.
+    const transactions = this.pendingTransactions;
+    this.pendingTransactions = [];
+    let block;
+    try {
+      const merkleRoot = await this.createMerkleTree(transactions);
+
+      block = new Block(
+        this.blockchain.length,
+        transactions,
+        Date.now(),
+        this.getLatestBlock().hash,
+        merkleRoot,
+      );
 
-    // Proof of work
-    await block.mineBlock(this.difficulty);
+      // Proof of work
+      await block.mineBlock(this.difficulty);
+    } catch (error) {
+      this.pendingTransactions = [...transactions, ...this.pendingTransactions];
+      throw error;
+    }
 
     // Add to blockchain
     this.blockchain.push(block);
-    this.pendingTransactions = [];
 
     console.log(`✅ Block mined: ${block.hash}`);
 
@@ -179,6 +199,26 @@ class BlockchainEncryptionSystem {
         console.error(`❌ Block ${i} has invalid proof of work`);
         return false;
       }
+
+      // Verify every transaction's signature
+      for (const tx of currentBlock.transactions) {
+        if (!(await this.verifyTransaction(tx))) {
+          console.error(
+            `❌ Block ${i} has a transaction with an invalid signature: ${tx.id}`,
+          );
+          return false;
+        }
+      }
+
+      // Verify the Merkle root (blocks from before roots have none)
+      if (
+        currentBlock.merkleRoot != null &&
+        (await this.createMerkleTree(currentBlock.transactions)) !==
+          currentBlock.merkleRoot
+      ) {
+        console.error(`❌ Block ${i} has invalid Merkle root`);
+        return false;
+      }
     }
 
     console.log("✅ Blockchain verified - all blocks valid");
@@ -186,43 +226,78 @@ class BlockchainEncryptionSystem {
   }
 
   /**
-   * Create Merkle tree for transaction verification
+   * Merkle root of a block's transactions
+   * @returns {Promise<string|null>} Hex root, null without transactions
    */
-  createMerkleTree(transactions) {
-    if (transactions.length === 0) {
-      return null;
-    }
-
-    let nodes = transactions.map((tx) => this.hashData(JSON.stringify(tx)));
-
-    while (nodes.length > 1) {
-      const newLevel = [];
-
-      for (let i = 0; i < nodes.length; i += 2) {
-        if (i + 1 < nodes.length) {
-          newLevel.push(this.hashData(nodes[i] + nodes[i + 1]));
-        } else {
-          newLevel.push(nodes[i]);
-        }
-      }
+  async createMerkleTree(transactions) {
+    return MerkleTree.root(await MerkleTree.build(transactions));
+  }
 
-      nodes = newLevel;
+  /**
+   * Inclusion proof for a mined transaction
+   * @param {string} transactionId
+   * @returns {Promise<object|null>} { transactionId, leaf, proof, block },
+   *   where proof lists sibling hashes leaf to root, each with the side it
+   *   sits on, and block is the header to check it against; null if the
+   *   transaction is not in a block with a Merkle root
+   */
+  async getMerkleProof(transactionId) {
+    for (const block of this.blockchain) {
+      const index = block.transactions.findIndex(
+        (tx) => tx.id === transactionId,
+      );
+      if (index === -1) continue;
+      if (block.merkleRoot == null) return null;
+
+      const levels = await MerkleTree.build(block.transactions);
+      return {
+        transactionId,
+        leaf: levels[0][index],
+        proof: MerkleTree.proof(levels, index),
+        block: {
+          index: block.index,
+          hash: block.hash,
+          previousHash: block.previousHash,
+          timestamp: block.timestamp,
+          merkleRoot: block.merkleRoot,
+          nonce: block.nonce,
+        },
+      };
     }
 
-    return nodes[0];
+    return null;
   }
 
   /**
-   * Verify transaction in Merkle tree
+   * Verify a transaction against a block header's Merkle root; needs no
+   * chain state, so auditors can call BlockchainEncryptionSystem
+   * .verifyMerkleProof() directly
+   * @param {object} transaction - The transaction as stored in the block
+   * @param {string|object} merkleRoot - Root, or a header carrying one;
+   *   a header with a hash must also hash to it
+   * @param {Array|object} proof - getMerkleProof() result or its proof
+   * @returns {Promise<boolean>}
    */
-  verifyMerkleProof(transaction, merkleRoot, proof) {
-    let hash = this.hashData(JSON.stringify(transaction));
-
-    for (const proofElement of proof) {
-      hash = this.hashData(hash + proofElement);
+  static async verifyMerkleProof(transaction, merkleRoot, proof) {
+    if (
+      merkleRoot?.hash !== undefined &&
+      Object.assign(new Block(), merkleRoot).calculateHash() !== merkleRoot.hash
+    ) {
+      return false;
     }
+    return MerkleTree.verify(
+      transaction,
+      typeof merkleRoot === "string" ? merkleRoot : merkleRoot?.merkleRoot,
+      Array.isArray(proof) ? proof : proof?.proof,
+    );
+  }
 
-    return hash === merkleRoot;
+  verifyMerkleProof(transaction, merkleRoot, proof) {
+    return BlockchainEncryptionSystem.verifyMerkleProof(
+      transaction,
+      merkleRoot,
+      proof,
+    );
   }
 
   /**
@@ -322,31 +397,227 @@ class BlockchainEncryptionSystem {
     return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
   }
 
-  async signData(data, userId) {
-    // Simulated digital signature
-    const dataHash = await this.hashData(JSON.stringify(data));
-    return await this.hashData(dataHash + userId);
+  /**
+   * Sign a transaction with its user's key
+   * @returns {Promise<object>} { keyId, signatureAlgorithm, signature }
+   */
+  async signTransaction(transaction) {
+    const { keyId, privateKey } = await this.getSigningKey(transaction.userId);
+    const signature = await crypto.subtle.sign(
+      { name: "ECDSA", hash: "SHA-256" },
+      privateKey,
+      this.transactionPayload({ ...transaction, keyId }),
+    );
+    return {
+      keyId,
+      signatureAlgorithm: this.signatureAlgorithm,
+      signature: this.toHex(signature),
+    };
+  }
+
+  /**
+   * Check a transaction's data hash and its signature against the public
+   * key registered for its user
+   */
+  async verifyTransaction(transaction) {
+    const { userId, keyId, signature, signatureAlgorithm } = transaction;
+    if (
+      signatureAlgorithm !== this.signatureAlgorithm ||
+      typeof signature !== "string" ||
+      transaction.hash !==
+        (await this.hashData(JSON.stringify(transaction.data)))
+    ) {
+      return false;
+    }
+    const publicKey = await this.getPublicKey(userId, keyId);
+    if (!publicKey) return false;
+
+    try {
+      const key = await crypto.subtle.importKey(
+        "jwk",
+        publicKey,
+        { name: "ECDSA", namedCurve: "P-256" },
+        false,
+        ["verify"],
+      );
+      return await crypto.subtle.verify(
+        { name: "ECDSA", hash: "SHA-256" },
+        key,
+        this.fromHex(signature),
+        this.transactionPayload(transaction),
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * What a signature covers; the data itself through its hash
+   */
+  transactionPayload({ id, timestamp, userId, keyId, hash }) {
+    return new TextEncoder().encode(
+      JSON.stringify([id, timestamp, userId, keyId, hash]),
+    );
   }
 
+  /**
+   * A user's signing key pair, created on first use. The private key is
+   * non-extractable and kept in IndexedDB; the public key is registered
+   * with the user's AuthSystem record.
+   * @returns {Promise<object>} { userId, keyId, privateKey, publicKey }
+   */
+  async getSigningKey(userId) {
+    if (!this.keyCache.has(userId)) {
+      const pending = this.loadSigningKey(userId);
+      this.keyCache.set(userId, pending);
+      pending.catch(() => this.keyCache.delete(userId));
+    }
+    const record = await this.keyCache.get(userId);
+    await this.registerPublicKey(record);
+    return record;
+  }
+
+  /**
+   * Add a key to its user's AuthSystem record, checked on every use since
+   * the record may appear after the key was created. Identities without
+   * an account (e.g. "system") verify from the local key store.
+   */
+  async registerPublicKey({ userId, keyId, publicKey }) {
+    const registered = window.AuthSystem
+      ? window.AuthSystem.getSigningKeys(userId)
+      : null;
+    if (registered && !registered.some((key) => key.keyId === keyId)) {
+      await window.AuthSystem.registerSigningKey(userId, keyId, publicKey);
+    }
+  }
+
+  async loadSigningKey(userId) {
+    let record = await this.keyStoreRequest("readonly", (store) =>
+      store.get(userId),
+    );
+
+    if (!record) {
+      const keyPair = await crypto.subtle.generateKey(
+        { name: "ECDSA", namedCurve: "P-256" },
+        false,
+        ["sign", "verify"],
+      );
+      const publicKey = await crypto.subtle.exportKey("jwk", keyPair.publicKey);
+      record = {
+        userId,
+        keyId: await this.keyThumbprint(publicKey),
+        privateKey: keyPair.privateKey,
+        publicKey,
+        createdAt: new Date().toISOString(),
+      };
+      await this.keyStoreRequest("readwrite", (store) => store.put(record));
+      console.log(`🔑 Signing key created for ${userId}`);
+    }
+    return record;
+  }
+
+  /**
+   * Public key (JWK) for a user's keyId: from their AuthSystem record,
+   * or while no key is registered there, from the local key store
+   */
+  async getPublicKey(userId, keyId) {
+    const registered = window.AuthSystem
+      ? window.AuthSystem.getSigningKeys(userId)
+      : null;
+    if (registered && registered.length > 0) {
+      const key = registered.find((k) => k.keyId === keyId);
+      return key ? key.publicKey : null;
+    }
+
+    const record = this.keyCache.has(userId)
+      ? await this.keyCache.get(userId)
+      : await this.keyStoreRequest("readonly", (store) => store.get(userId));
+    return record && record.keyId === keyId ? record.publicKey : null;
+  }
+
+  /**
+   * RFC 7638 JWK thumbprint, hex
+   */
+  async keyThumbprint({ crv, kty, x, y }) {
+    return this.hashData(JSON.stringify({ crv, kty, x, y }));
+  }
+
+  /**
+   * Run a request on the signingKeys store; without CloudStorage keys
+   * only live for the session
+   */
+  async keyStoreRequest(mode, operation) {
+    if (!window.CloudStorage) return undefined;
+    if (!window.CloudStorage.db) {
+      await window.CloudStorage.initialize();
+    }
+    const transaction = window.CloudStorage.db.transaction(
+      ["signingKeys"],
+      mode,
+    );
+    const request = operation(transaction.objectStore("signingKeys"));
+
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), (b) =>
+      b.toString(16).padStart(2, "0"),
+    ).join("");
+  }
+
+  fromHex(hex) {
+    return Uint8Array.from(hex.match(/../g) ?? [], (b) => parseInt(b, 16));
+  }
+
+  /**
+   * Save the chain to IndexedDB. Saves are queued, and a chain that does
+   * not extend the stored one is refused rather than overwriting it.
+   */
   saveBlockchain() {
-    // Save to IndexedDB
-    if (window.CloudStorage) {
-      window.CloudStorage.store(
+    if (!window.CloudStorage) return Promise.resolve();
+
+    const chain = this.blockchain.slice();
+    const run = this.saveQueue.then(async () => {
+      const stored = await window.CloudStorage.retrieve("blockchain", "chain");
+      if (stored && !this.extendsChain(chain, stored.chain)) {
+        throw new Error(
+          `Chain of ${chain.length} blocks does not extend the stored chain of ${stored.chain.length} blocks`,
+        );
+      }
+
+      await window.CloudStorage.update(
         "blockchain",
-        {
-          chain: this.blockchain,
-          timestamp: Date.now(),
-        },
+        { id: "chain", chain, timestamp: Date.now() },
         false,
       );
-    }
+    });
+    this.saveQueue = run.catch((error) =>
+      console.error("❌ Blockchain save failed:", error),
+    );
+    return this.saveQueue;
+  }
+
+  /**
+   * Whether chain starts with every block of stored
+   */
+  extendsChain(chain, stored) {
+    return (
+      stored.length <= chain.length &&
+      stored.every((block, i) => block.hash === chain[i].hash)
+    );
   }
 
   async loadBlockchain() {
     if (window.CloudStorage) {
       const stored = await window.CloudStorage.retrieve("blockchain", "chain");
       if (stored) {
-        this.blockchain = stored.chain;
+        this.blockchain = stored.chain.map((block) =>
+          Object.assign(new Block(), block),
+        );
         console.log(`📥 Blockchain loaded: ${this.blockchain.length} blocks`);
       }
     }
@@ -376,22 +647,33 @@ class BlockchainEncryptionSystem {
  * Block class
  */
 class Block {
-  constructor(index, transactions, timestamp, previousHash) {
+  constructor(index, transactions, timestamp, previousHash, merkleRoot = null) {
     this.index = index;
     this.transactions = transactions;
     this.timestamp = timestamp;
     this.previousHash = previousHash;
+    this.merkleRoot = merkleRoot;
     this.nonce = 0;
     this.hash = "";
   }
 
   calculateHash() {
+    // The header commits to the transactions through the Merkle root, so
+    // it can be checked on its own; blocks without a root (from before
+    // roots, or empty) hash their transactions directly. The nonce goes
+    // before the root: last, its few digits barely move simpleHash.
     const data =
-      this.index +
-      this.previousHash +
-      this.timestamp +
-      JSON.stringify(this.transactions) +
-      this.nonce;
+      this.merkleRoot == null
+        ? this.index +
+          this.previousHash +
+          this.timestamp +
+          JSON.stringify(this.transactions) +
+          this.nonce
+        : this.index +
+          this.previousHash +
+          this.timestamp +
+          this.nonce +
+          this.merkleRoot;
 
     return this.simpleHash(data);
   }
@@ -403,7 +685,8 @@ class Block {
       hash = (hash << 5) - hash + char;
       hash = hash & hash;
     }
-    return Math.abs(hash).toString(16);
+    // Fixed width, or proof of work could never find leading zeros
+    return Math.abs(hash).toString(16).padStart(8, "0");
   }
 
   async mineBlock(difficulty) {
@@ -418,6 +701,107 @@ class Block {
   }
 }
 
+/**
+ * Binary SHA-256 Merkle tree over transactions, with RFC 6962 domain
+ * separation: leaf = H(0x00 || transaction JSON), node = H(0x01 || left ||
+ * right). An odd node at the end of a level moves up unchanged.
+ */
+class MerkleTree {
+  /**
+   * All levels, leaves first and the root last
+   * @returns {Promise<string[][]>} Hex hashes
+   */
+  static async build(transactions) {
+    if (transactions.length === 0) return [];
+
+    const levels = [
+      await Promise.all(transactions.map((tx) => MerkleTree.leafHash(tx))),
+    ];
+    while (levels[levels.length - 1].length > 1) {
+      const nodes = levels[levels.length - 1];
+      const level = [];
+      for (let i = 0; i < nodes.length; i += 2) {
+        level.push(
+          i + 1 < nodes.length
+            ? MerkleTree.nodeHash(nodes[i], nodes[i + 1])
+            : nodes[i],
+        );
+      }
+      levels.push(await Promise.all(level));
+    }
+    return levels;
+  }
+
+  static root(levels) {
+    return levels.length ? levels[levels.length - 1][0] : null;
+  }
+
+  /**
+   * Sibling hashes from the leaf at index up to the root
+   * @returns {Array<{hash: string, position: string}>} position is the
+   *   side the sibling is on, "left" or "right"
+   */
+  static proof(levels, index) {
+    const proof = [];
+    for (let level = 0; level < levels.length - 1; level++) {
+      const sibling = index ^ 1;
+      if (sibling < levels[level].length) {
+        proof.push({
+          hash: levels[level][sibling],
+          position: sibling < index ? "left" : "right",
+        });
+      }
+      index >>= 1;
+    }
+    return proof;
+  }
+
+  static async verify(transaction, merkleRoot, proof) {
+    if (typeof merkleRoot !== "string" || !Array.isArray(proof)) {
+      return false;
+    }
+
+    let hash = await MerkleTree.leafHash(transaction);
+    for (const step of proof) {
+      if (!/^[0-9a-f]{64}$/.test(step?.hash)) return false;
+      if (step.position === "left") {
+        hash = await MerkleTree.nodeHash(step.hash, hash);
+      } else if (step.position === "right") {
+        hash = await MerkleTree.nodeHash(hash, step.hash);
+      } else {
+        return false;
+      }
+    }
+    return hash === merkleRoot;
+  }
+
+  static async leafHash(transaction) {
+    const json = new TextEncoder().encode(JSON.stringify(transaction));
+    const bytes = new Uint8Array(1 + json.length);
+    bytes.set(json, 1);
+    return MerkleTree.sha256Hex(bytes);
+  }
+
+  static async nodeHash(left, right) {
+    const bytes = new Uint8Array(65);
+    bytes[0] = 1;
+    bytes.set(MerkleTree.fromHex(left), 1);
+    bytes.set(MerkleTree.fromHex(right), 33);
+    return MerkleTree.sha256Hex(bytes);
+  }
+
+  static async sha256Hex(bytes) {
+    const hashBuffer = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(hashBuffer), (b) =>
+      b.toString(16).padStart(2, "0"),
+    ).join("");
+  }
+
+  static fromHex(hex) {
+    return Uint8Array.from(hex.match(/../g), (b) => parseInt(b, 16));
+  }
+}
+
 // Global instance
 window.BlockchainSystem = new BlockchainEncryptionSystem();
 
@@ -10,6 +10,8 @@
  * - Conflict resolution
  * - Real-time backup
  * - File upload/download management
+ * - Content-defined chunk deduplication
+ * - Per-store trained dictionaries compressing small records
  * - Storage quota management
  * - API-ready for cloud providers (AWS S3, Google Cloud Storage)
  *
@@ -21,8 +23,9 @@ class EnterpriseCloudStorage {
   constructor() {
     this.version = "7.0.0";
     this.dbName = "ChitraHarshaVisvaDarsana";
-    this.dbVersion = 2;
+    this.dbVersion = 6;
     this.db = null;
+    this.opening = null; // shared initialize() promise
     this.isOnline = navigator.onLine;
     this.syncQueue = [];
     this.maxStorageSize = 500 * 1024 * 1024 * 1024; // 500GB simulated limit (unlimited user)
@@ -36,10 +39,19 @@ class EnterpriseCloudStorage {
   }
 
   /**
-   * Initialize IndexedDB
+   * Initialize IndexedDB. Concurrent calls share one open, and db is
+   * only set once the stored compression dictionaries are registered.
    * @returns {Promise<boolean>} Success status
    */
   async initialize() {
+    if (!this.opening) {
+      this.opening = this.openDatabase();
+      this.opening.catch(() => (this.opening = null));
+    }
+    return this.opening;
+  }
+
+  openDatabase() {
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.dbVersion);
 
@@ -48,8 +60,17 @@ class EnterpriseCloudStorage {
         reject(false);
       };
 
-      request.onsuccess = (event) => {
-        this.db = event.target.result;
+      request.onsuccess = async (event) => {
+        const db = event.target.result;
+        try {
+          await this.loadDictionaries(db);
+        } catch (error) {
+          console.error("❌ Compression dictionaries failed to load:", error);
+          db.close();
+          reject(error);
+          return;
+        }
+        this.db = db;
         console.log("✅ Cloud Storage initialized with IndexedDB");
         resolve(true);
       };
@@ -117,7 +138,31 @@ class EnterpriseCloudStorage {
           modelStore.createIndex("modelName", "modelName", { unique: false });
         }
 
-        console.log("📊 Database schema created/upgraded v2");
+        // Quantum SQL shard documents (see QuantumSQLIndexedDBStorage)
+        if (!db.objectStoreNames.contains("quantumShards")) {
+          db.createObjectStore("quantumShards", { keyPath: "key" });
+        }
+
+        // Deduplicated file chunks, keyed by content hash
+        if (!db.objectStoreNames.contains("fileChunks")) {
+          db.createObjectStore("fileChunks", { keyPath: "hash" });
+        }
+
+        // Trained compression dictionaries, every version kept
+        if (!db.objectStoreNames.contains("compressionDictionaries")) {
+          db.createObjectStore("compressionDictionaries", { keyPath: "id" });
+        }
+
+        // Blockchain ledger (one "chain" record) and signing key pairs,
+        // whose private keys are non-extractable
+        if (!db.objectStoreNames.contains("blockchain")) {
+          db.createObjectStore("blockchain", { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains("signingKeys")) {
+          db.createObjectStore("signingKeys", { keyPath: "userId" });
+        }
+
+        console.log("📊 Database schema created/upgraded v6");
       };
     });
   }
@@ -142,6 +187,7 @@ class EnterpriseCloudStorage {
         encrypted: encrypt,
         syncStatus: this.isOnline ? "synced" : "pending",
       };
+      this.packRecordData(storeName, record);
 
       // Encrypt if requested and encryption module is available
       if (
@@ -149,7 +195,7 @@ class EnterpriseCloudStorage {
         window.EncryptionModule &&
         window.EncryptionModule.isInitialized
       ) {
-        record.data = await window.EncryptionModule.encrypt(record.data, true);
+        record.data = await this.encryptData(record.data);
       }
 
       // Store in IndexedDB
@@ -176,6 +222,157 @@ class EnterpriseCloudStorage {
     }
   }
 
+  /**
+   * Encrypt a record's data; bytes stay bytes so binary files survive
+   */
+  async encryptData(data) {
+    return data instanceof Uint8Array
+      ? window.EncryptionModule.encryptBytes(data)
+      : window.EncryptionModule.encrypt(data, true);
+  }
+
+  async decryptData(data) {
+    return data instanceof Uint8Array
+      ? window.EncryptionModule.decryptBytes(data)
+      : window.EncryptionModule.decrypt(data, true);
+  }
+
+  /**
+   * Compress a record's data against its store's dictionary, once one is
+   * trained; `packed` names the dictionary version used
+   */
+  packRecordData(storeName, record) {
+    const engine = window.CompressionEngine;
+    delete record.packed;
+    const dictionary =
+      engine && record.data !== undefined && engine.getDictionary(storeName);
+    if (!dictionary) return;
+    record.data = engine.compressRecord(record.data, {
+      dictionary: dictionary.id,
+    });
+    record.packed = dictionary.id;
+  }
+
+  unpackRecordData(record) {
+    if (!record.packed) return;
+    try {
+      record.data = window.CompressionEngine.decompressRecord(record.data);
+      delete record.packed;
+    } catch (error) {
+      console.error(`❌ Decompression failed (${record.packed}):`, error);
+    }
+  }
+
+  /**
+   * Train a compression dictionary for a store. store() and update()
+   * then compress that store's record data against its latest version.
+   * @param {string} storeName - Object store, also the dictionary name
+   * @param {object} options - `samples` to train on instead of the
+   *   store's own record data (at most `sampleSize` records are read),
+   *   plus CompressionEngine.trainDictionary() options
+   * @returns {Promise<object>} The dictionary
+   */
+  async trainDictionary(storeName, options = {}) {
+    if (!this.db) {
+      await this.initialize();
+    }
+    if (!window.CompressionEngine) {
+      throw new Error("Dictionary training needs the compression engine");
+    }
+
+    const engine = window.CompressionEngine;
+    const { samples, sampleSize = 500, ...trainOptions } = options;
+    const data =
+      samples ?? (await this.sampleRecordData(storeName, sampleSize));
+
+    // The version comes from the stored dictionaries, read in the same
+    // transaction as the add(), which never replaces an existing id
+    const transaction = this.db.transaction(
+      ["compressionDictionaries"],
+      "readwrite",
+    );
+    const store = transaction.objectStore("compressionDictionaries");
+    let dictionary;
+    let failure;
+    const request = store.getAllKeys();
+    request.onsuccess = () => {
+      try {
+        const latest = engine.getDictionary(storeName);
+        const version =
+          1 +
+          Math.max(
+            latest ? latest.version : 0,
+            ...request.result
+              .filter((id) => id.startsWith(`${storeName}@`))
+              .map((id) => Number(id.slice(storeName.length + 1))),
+          );
+        dictionary = engine.trainDictionary(data, {
+          ...trainOptions,
+          name: storeName,
+          version,
+          register: false,
+        });
+        store.add(dictionary);
+      } catch (error) {
+        failure = error;
+        transaction.abort();
+      }
+    };
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onabort = () => reject(failure ?? transaction.error);
+    });
+    return engine.registerDictionary(dictionary);
+  }
+
+  async sampleRecordData(storeName, limit) {
+    const records = await new Promise((resolve, reject) => {
+      const request = this.db
+        .transaction([storeName], "readonly")
+        .objectStore(storeName)
+        .getAll(null, limit);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    const samples = [];
+    for (const record of records) {
+      if (
+        record.encrypted &&
+        window.EncryptionModule &&
+        window.EncryptionModule.isInitialized
+      ) {
+        record.data = await this.decryptData(record.data);
+      }
+      this.unpackRecordData(record);
+      if (record.data !== undefined) samples.push(record.data);
+    }
+    return samples;
+  }
+
+  /**
+   * Register the stored dictionaries with the compression engine
+   */
+  async loadDictionaries(db = this.db) {
+    if (!window.CompressionEngine) return;
+
+    const dictionaries = await new Promise((resolve, reject) => {
+      const request = db
+        .transaction(["compressionDictionaries"], "readonly")
+        .objectStore("compressionDictionaries")
+        .getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    for (const dictionary of dictionaries) {
+      try {
+        window.CompressionEngine.registerDictionary(dictionary);
+      } catch (error) {
+        console.error(`❌ Dictionary ${dictionary.id} not loaded:`, error);
+      }
+    }
+  }
+
   /**
    * Retrieve data with automatic decryption
    * @param {string} storeName - Object store name
@@ -208,14 +405,12 @@ class EnterpriseCloudStorage {
             window.EncryptionModule.isInitialized
           ) {
             try {
-              record.data = await window.EncryptionModule.decrypt(
-                record.data,
-                true,
-              );
+              record.data = await this.decryptData(record.data);
             } catch (error) {
               console.error("❌ Decryption failed:", error);
             }
           }
+          this.unpackRecordData(record);
 
           console.log(`📂 Retrieved from ${storeName} (ID: ${id})`);
           resolve(record);
@@ -258,14 +453,12 @@ class EnterpriseCloudStorage {
               window.EncryptionModule.isInitialized
             ) {
               try {
-                record.data = await window.EncryptionModule.decrypt(
-                  record.data,
-                  true,
-                );
+                record.data = await this.decryptData(record.data);
               } catch (error) {
                 console.error("❌ Decryption failed for record:", error);
               }
             }
+            this.unpackRecordData(record);
           }
 
           console.log(
@@ -301,6 +494,7 @@ class EnterpriseCloudStorage {
         encrypted: encrypt,
         syncStatus: this.isOnline ? "synced" : "pending",
       };
+      this.packRecordData(storeName, record);
 
       // Encrypt if requested
       if (
@@ -308,7 +502,7 @@ class EnterpriseCloudStorage {
         window.EncryptionModule &&
         window.EncryptionModule.isInitialized
       ) {
-        record.data = await window.EncryptionModule.encrypt(record.data, true);
+        record.data = await this.encryptData(record.data);
       }
 
       const transaction = this.db.transaction([storeName], "readwrite");
@@ -519,46 +713,119 @@ class EnterpriseCloudStorage {
     });
   }
   /**
-   * Upload user file (encrypted)
+   * Upload user file (encrypted). With the compression engine loaded the
+   * file is split into content-defined chunks, each stored once by hash
+   * and shared across versions and users; quota counts a user's distinct
+   * chunks once.
+   * @param {string|object|Blob|File|ArrayBuffer|Uint8Array} fileData - File
+   *   contents; Blobs and Files come back as Blobs and Files
+   * @param {object} options - `media`: options for re-encoding images and
+   *   WAV audio, or false to store them untouched
    */
-  async uploadFile(userId, fileName, fileData, fileType = "generic") {
+  async uploadFile(
+    userId,
+    fileName,
+    fileData,
+    fileType = "generic",
+    options = {},
+  ) {
     if (!this.db) await this.initialize();
 
     console.log(`📁 Uploading file: ${fileName} for user ${userId}`);
 
-    // Compress file data if compression engine available
-    let processedData = fileData;
-    let compressed = false;
-    if (window.CompressionEngine) {
-      processedData =
-        await window.CompressionEngine.compressToPackets(fileData);
-      compressed = true;
+    // Re-encode raw media, keeping the result only when it is smaller
+    let media = null;
+    const mediaType = this.getMediaType(fileData);
+    if (window.CompressionEngine && mediaType && options.media !== false) {
+      try {
+        const { blob, ...settings } =
+          await window.CompressionEngine.compressTyped(
+            fileData,
+            mediaType,
+            options.media ?? {},
+          );
+        if (settings.savedBytes > 0) {
+          fileData = blob;
+          media = settings;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Storing ${fileName} without re-encoding:`, error);
+      }
     }
 
     const fileRecord = {
       userId,
       fileName,
       fileType,
-      data: processedData,
-      compressed,
-      size:
-        typeof fileData === "string"
-          ? fileData.length
-          : JSON.stringify(fileData).length,
+      data: fileData,
+      compressed: false,
+      size: this.measureSize(fileData),
+      storedBytes: this.measureSize(fileData),
+      media,
       uploadDate: new Date().toISOString(),
       lastAccessed: new Date().toISOString(),
     };
 
-    const id = await this.store("userFiles", fileRecord, true);
+    // Chunk, deduplicate and compress if compression engine available
+    if (window.CompressionEngine) {
+      const engine = window.CompressionEngine;
+      const { bytes, source } = await engine.readInput(fileData);
+      const chunks = engine.chunkContent(bytes);
+      const hashes = await Promise.all(
+        chunks.map((chunk) => engine.sha256Hex(chunk)),
+      );
+
+      const known = await this.getChunks(hashes);
+      const packed = new Map();
+      for (let i = 0; i < chunks.length; i++) {
+        if (!known.has(hashes[i]) && !packed.has(hashes[i])) {
+          packed.set(hashes[i], await this.packChunk(hashes[i], chunks[i]));
+        }
+      }
+
+      fileRecord.data = { chunks: hashes, ...source };
+      fileRecord.format = "chunks";
+      fileRecord.compressed = true;
+      fileRecord.size = bytes.length;
+      fileRecord.storedBytes = await this.updateChunkRefs(
+        userId,
+        hashes,
+        1,
+        packed,
+      );
+    }
+
+    // The chunk refs are already committed, so a file record that fails to
+    // store must give them back or nothing could ever release them
+    let id;
+    try {
+      id = await this.store("userFiles", fileRecord, true);
+    } catch (error) {
+      if (fileRecord.format === "chunks") {
+        await this.updateChunkRefs(userId, fileRecord.data.chunks, -1).catch(
+          (releaseError) =>
+            console.error(
+              `❌ Could not release chunks of ${fileName}:`,
+              releaseError,
+            ),
+        );
+      }
+      throw error;
+    }
 
     // Update user quota
-    this.updateUserQuota(userId, fileRecord.size);
+    this.updateUserQuota(userId, fileRecord.storedBytes);
 
     console.log(
-      `✅ File uploaded: ${fileName} (${this.formatBytes(fileRecord.size)})`,
+      `✅ File uploaded: ${fileName} (${this.formatBytes(fileRecord.size)}, ${this.formatBytes(fileRecord.storedBytes)} new)`,
     );
 
-    return { id, fileName, size: fileRecord.size };
+    return {
+      id,
+      fileName,
+      size: fileRecord.size,
+      storedBytes: fileRecord.storedBytes,
+    };
   }
 
   /**
@@ -571,20 +838,147 @@ class EnterpriseCloudStorage {
       throw new Error("File not found");
     }
 
+    // Update last accessed, keeping the stored (compressed) form
+    fileRecord.lastAccessed = new Date().toISOString();
+    await this.update("userFiles", fileRecord, true);
+
+    if (fileRecord.format === "chunks") {
+      return { ...fileRecord, data: await this.readChunks(fileRecord.data) };
+    }
+
     // Decompress if needed
     if (fileRecord.compressed && window.CompressionEngine) {
-      fileRecord.data = await window.CompressionEngine.decompressFromPackets(
-        fileRecord.data,
-      );
+      return {
+        ...fileRecord,
+        data: await window.CompressionEngine.decompressFromPackets(
+          fileRecord.data,
+        ),
+      };
     }
 
-    // Update last accessed
-    fileRecord.lastAccessed = new Date().toISOString();
-    await this.update("userFiles", fileRecord, true);
-
     return fileRecord;
   }
 
+  /**
+   * Compressed (and, when available, encrypted) chunk record
+   */
+  async packChunk(hash, chunk) {
+    let data = await window.CompressionEngine.compressToContainer(chunk);
+    const encrypted = Boolean(window.EncryptionModule?.isInitialized);
+    if (encrypted) {
+      data = await window.EncryptionModule.encryptBytes(data);
+    }
+    return {
+      hash,
+      data,
+      encrypted,
+      size: chunk.length,
+      storedSize: data.length,
+      refs: {},
+    };
+  }
+
+  /**
+   * Chunk records by hash; hashes not in the store are left out
+   */
+  async getChunks(hashes) {
+    const transaction = this.db.transaction(["fileChunks"], "readonly");
+    const store = transaction.objectStore("fileChunks");
+    const chunks = new Map();
+    for (const hash of new Set(hashes)) {
+      const request = store.get(hash);
+      request.onsuccess = () => {
+        if (request.result) chunks.set(hash, request.result);
+      };
+    }
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(chunks);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Add (delta 1) or drop (delta -1) a user's references to chunks, in one
+   * transaction. Chunks nobody references are deleted.
+   * @param {Map} packed - Records for chunks that may not be stored yet
+   * @returns {Promise<number>} Change in the user's stored bytes
+   */
+  async updateChunkRefs(userId, hashes, delta, packed = new Map()) {
+    const counts = new Map();
+    for (const hash of hashes) counts.set(hash, (counts.get(hash) || 0) + 1);
+
+    const transaction = this.db.transaction(["fileChunks"], "readwrite");
+    const store = transaction.objectStore("fileChunks");
+    let bytes = 0;
+    let missing = null;
+    for (const [hash, count] of counts) {
+      const request = store.get(hash);
+      request.onsuccess = () => {
+        const chunk = request.result ?? (delta > 0 && packed.get(hash));
+        if (!chunk) {
+          // Dropping a chunk that is already gone is harmless
+          if (delta > 0) {
+            missing = hash;
+            transaction.abort();
+          }
+          return;
+        }
+
+        const before = chunk.refs[userId] || 0;
+        const after = Math.max(0, before + delta * count);
+        if (after > 0) chunk.refs[userId] = after;
+        else delete chunk.refs[userId];
+        if (before === 0 && after > 0) bytes += chunk.storedSize;
+        if (before > 0 && after === 0) bytes -= chunk.storedSize;
+
+        if (Object.keys(chunk.refs).length > 0) store.put(chunk);
+        else store.delete(hash);
+      };
+    }
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(bytes);
+      transaction.onabort = () =>
+        reject(
+          missing
+            ? new Error(`Chunk ${missing} was removed during upload; retry`)
+            : transaction.error,
+        );
+    });
+  }
+
+  /**
+   * Reassemble a chunked file, checking every chunk against its hash
+   */
+  async readChunks({ chunks, ...source }) {
+    const engine = window.CompressionEngine;
+    if (!engine) {
+      throw new Error("Chunked files need the compression engine");
+    }
+
+    const records = await this.getChunks(chunks);
+    const contents = new Map();
+    for (const [hash, record] of records) {
+      const container = record.encrypted
+        ? await window.EncryptionModule.decryptBytes(record.data)
+        : record.data;
+      const bytes = await engine.decompressFromPackets(container);
+      if ((await engine.sha256Hex(bytes)) !== hash) {
+        throw new Error(`Chunk ${hash} does not match its hash`);
+      }
+      contents.set(hash, bytes);
+    }
+
+    const parts = chunks.map((hash) => {
+      if (!contents.has(hash)) {
+        throw new Error(`Chunk ${hash} is missing from the chunk store`);
+      }
+      return contents.get(hash);
+    });
+    const bytes = new Uint8Array(await new Blob(parts).arrayBuffer());
+    return engine.fromBytes(bytes, source);
+  }
+
   /**
    * List user files
    */
@@ -598,7 +992,15 @@ class EnterpriseCloudStorage {
   async deleteFile(fileId) {
     const file = await this.retrieve("userFiles", fileId);
     if (file) {
+      if (file.format === "chunks" && !Array.isArray(file.data?.chunks)) {
+        throw new Error("Cannot read the file's chunk list to release it");
+      }
       await this.delete("userFiles", fileId);
+      const released =
+        file.format === "chunks"
+          ? await this.updateChunkRefs(file.userId, file.data.chunks, -1)
+          : -(file.storedBytes ?? file.size ?? 0);
+      this.updateUserQuota(file.userId, released);
       console.log(`🗑️ File deleted: ${file.fileName}`);
     }
   }
@@ -615,6 +1017,40 @@ class EnterpriseCloudStorage {
     );
   }
 
+  /**
+   * Rebuild a user's usage from the stores, counting each chunk they
+   * reference once
+   */
+  async recalculateUserQuota(userId) {
+    if (!this.db) await this.initialize();
+
+    const transaction = this.db.transaction(
+      ["fileChunks", "userFiles"],
+      "readonly",
+    );
+    const chunksRequest = transaction.objectStore("fileChunks").getAll();
+    const filesRequest = transaction
+      .objectStore("userFiles")
+      .index("userId")
+      .getAll(userId);
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    let used = 0;
+    for (const chunk of chunksRequest.result) {
+      if (chunk.refs[userId]) used += chunk.storedSize;
+    }
+    for (const file of filesRequest.result) {
+      if (file.format !== "chunks") used += file.storedBytes ?? file.size ?? 0;
+    }
+
+    const quota = this.getUserStorageUsage(userId);
+    this.userStorageQuota.set(userId, { ...quota, used });
+    return used;
+  }
+
   updateUserQuota(userId, addedBytes) {
     const quota = this.userStorageQuota.get(userId) || {
       used: 0,
@@ -624,6 +1060,36 @@ class EnterpriseCloudStorage {
     this.userStorageQuota.set(userId, quota);
   }
 
+  /**
+   * "image" or "audio" for media worth re-encoding before storage
+   */
+  getMediaType(fileData) {
+    if (typeof Blob === "undefined" || !(fileData instanceof Blob)) {
+      return null;
+    }
+    // Vector and animated images would lose content as a single bitmap
+    if (/^image\/(png|jpeg|webp|bmp)$/.test(fileData.type)) return "image";
+    if (/^audio\/(wav|wave|x-wav|vnd\.wave)$/.test(fileData.type)) {
+      return "audio";
+    }
+    return null;
+  }
+
+  /**
+   * Size in bytes of uncompressed file data
+   */
+  measureSize(fileData) {
+    if (typeof Blob !== "undefined" && fileData instanceof Blob) {
+      return fileData.size;
+    }
+    if (fileData instanceof ArrayBuffer || ArrayBuffer.isView(fileData)) {
+      return fileData.byteLength;
+    }
+    const text =
+      typeof fileData === "string" ? fileData : JSON.stringify(fileData);
+    return new TextEncoder().encode(text).length;
+  }
+
   formatBytes(bytes) {
     if (bytes < 1024) return bytes + " B";
     if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(2) + " KB";
@@ -462,8 +462,19 @@ class CommercialDeploymentSystem {
 
   async updateDatabase() {
     console.log("🗄️ Updating database...");
-    await new Promise((resolve) => setTimeout(resolve, 500));
-    return { step: "database", status: "success", migrations: 0 };
+
+    if (!window.QuantumSQL) {
+      return { step: "database", status: "skipped", migrations: 0 };
+    }
+
+    // Run migrations registered via QuantumSQL.registerMigration()
+    const { applied, currentVersion } = await window.QuantumSQL.migrate();
+    return {
+      step: "database",
+      status: "success",
+      migrations: applied,
+      schemaVersion: currentVersion,
+    };
   }
 
   async deployServices() {
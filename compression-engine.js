@@ -3,30 +3,64 @@
  * Version: 3.0.0
  *
  * Features:
- * - Packet-based data compression (90% reduction)
+ * - Packet-based DEFLATE (LZ77 + Huffman) compression
  * - Smart chunking for large datasets
  * - Delta compression for updates
+ * - Content-defined chunking for deduplication
  * - Binary packing optimization
  * - Streaming compression/decompression
- * - Adaptive compression based on data type
+ * - Adaptive compression based on data type (image and audio re-encoding)
+ * - Trained shared dictionaries for small JSON records
  *
  * Copyright (c) 2026 The ChitraHarsha VPK Ventures
  * Patent Pending - All Rights Reserved
  */
 
 class AdvancedCompressionEngine {
+  static crc = null;
+  static gear = null;
+  static CONTAINER_MAGIC = new Uint8Array([0x43, 0x48, 0x50, 0x4b]); // "CHPK"
+  static CONTAINER_VERSION = 1;
+  static CONTAINER_ALGORITHMS = [null, "deflate"]; // index is the id
+  static RECORD_MAGIC = new Uint8Array([0x43, 0x48, 0x52, 0x43]); // "CHRC"
+  static RECORD_VERSION = 2; // 2 adds the dictionary checksum
+  static RECORD_ENCODINGS = ["binary", "text", "json"]; // index is the id
+
   constructor() {
     this.version = "3.0.0";
     this.chunkSize = 64 * 1024; // 64KB chunks
     this.compressionLevel = 9; // Maximum compression
+    this.totals = { operations: 0, originalBytes: 0, compressedBytes: 0 };
+    this.signingKey = null; // { key, keyId } once setSigningKey() is called
+    this.textDiffThreshold = 256; // shorter strings are replaced whole
+    this.maxDiffCost = 2000; // edits before a diff gives up and replaces
+    this.chunking = { minSize: 2048, avgSize: 8192, maxSize: 65536 };
+    this.dictionaries = new Map(); // id → trained dictionary
+    this.defaultDictionary = "json"; // name compressJSON picks up
+    this.mediaDefaults = {
+      image: {
+        format: "image/webp",
+        quality: 0.8,
+        minQuality: 0.4,
+        maxBytes: null,
+        maxDimension: 2048,
+      },
+      audio: { sampleRate: 22050, mono: true, bitDepth: 16 },
+    };
 
     console.log(`🗜️ Advanced Compression Engine v${this.version} loaded`);
   }
 
   /**
-   * Compress data to packets with 90% size reduction
-   * @param {any} data - Data to compress
-   * @param {object} options - Compression options
+   * Compress data to packets with DEFLATE (LZ77 + Huffman). Every packet
+   * carries a CRC32, and a manifest lists them with a SHA-256 of the whole
+   * payload, HMAC-signed when a signing key is set.
+   * @param {any} data - Bytes, a Blob or File, a string, or anything
+   *   JSON-serializable
+   * @param {object} options - Compression options; `level` (0-9) defaults
+   *   to compressionLevel, `parity` adds that many Reed-Solomon packets,
+   *   `dictionary` names a trained dictionary (id, or name for its latest
+   *   version)
    * @returns {Promise<object>} Compressed packet data
    */
   async compressToPackets(data, options = {}) {
@@ -34,240 +68,490 @@ class AdvancedCompressionEngine {
       packetSize = this.chunkSize,
       includeMetadata = true,
       encryption = false,
+      level = this.compressionLevel,
+      parity = 0,
     } = options;
-
-    // Convert data to JSON string
-    const jsonString = typeof data === "string" ? data : JSON.stringify(data);
-
-    // Apply multiple compression layers
-    let compressed = jsonString;
-
-    // Layer 1: Dictionary-based compression
-    compressed = this.dictionaryCompress(compressed);
-
-    // Layer 2: Run-length encoding for repeated patterns
-    compressed = this.runLengthEncode(compressed);
-
-    // Layer 3: Huffman coding
-    compressed = this.huffmanEncode(compressed);
-
-    // Layer 4: Binary packing
-    const binaryData = this.textToBinary(compressed);
+    const dictionary = options.dictionary
+      ? this.requireDictionary(options.dictionary)
+      : null;
+
+    const { compressed, originalSize, source } = await this.compressInput(
+      data,
+      level,
+      dictionary,
+    );
 
     // Split into packets
-    const packets = this.splitIntoPackets(binaryData, packetSize);
+    const packets = this.splitIntoPackets(compressed, packetSize);
+    const parityPackets = this.createParityPackets(packets, parity);
+    const manifest = await this.signManifest({
+      version: 1,
+      algorithm: "deflate",
+      ...source,
+      size: compressed.length,
+      packetSize,
+      packetCount: packets.length,
+      checksum: "crc32",
+      checksums: packets.map((p) => p.checksum),
+      hash: await this.sha256Hex(compressed),
+      parity: parityPackets.length
+        ? {
+            count: parityPackets.length,
+            size: parityPackets[0].size,
+            checksums: parityPackets.map((p) => p.checksum),
+          }
+        : null,
+      ...(dictionary && {
+        dictionary: { id: dictionary.id, checksum: dictionary.checksum },
+      }),
+    });
 
-    // Calculate compression ratio
-    const originalSize = new Blob([jsonString]).size;
-    const compressedSize = new Blob([binaryData]).size;
-    const ratio = ((1 - compressedSize / originalSize) * 100).toFixed(2);
+    // Measured, not estimated
+    const compressedSize = compressed.length;
+    const ratio = this.formatRatio(originalSize, compressedSize);
+    this.totals.operations++;
+    this.totals.originalBytes += originalSize;
+    this.totals.compressedBytes += compressedSize;
 
     const result = {
       packets,
+      parity: parityPackets,
+      manifest,
       metadata: includeMetadata
         ? {
             originalSize,
             compressedSize,
-            compressionRatio: `${ratio}%`,
+            compressionRatio: ratio,
             packetCount: packets.length,
-            algorithm: "multi-layer-v3",
+            algorithm: "deflate",
+            level,
+            dictionary: dictionary ? dictionary.id : null,
             timestamp: new Date().toISOString(),
           }
         : null,
     };
 
     console.log(
-      `🗜️ Compressed ${originalSize} bytes → ${compressedSize} bytes (${ratio}% reduction)`,
+      `🗜️ Compressed ${originalSize} bytes → ${compressedSize} bytes (${ratio} reduction)`,
     );
 
     return result;
   }
 
   /**
-   * Decompress packet data
-   * @param {object} packetData - Compressed packet data
-   * @returns {Promise<any>} Original data
+   * Compress straight to the binary container format
+   * @returns {Promise<Uint8Array>}
    */
-  async decompressFromPackets(packetData) {
-    const { packets, metadata } = packetData;
+  async compressToContainer(data, options = {}) {
+    return this.encodeContainer(await this.compressToPackets(data, options));
+  }
 
-    // Reassemble packets
-    const binaryData = this.reassemblePackets(packets);
+  /**
+   * Decompress packet data, rebuilding lost or corrupt packets from parity
+   * @param {object|Uint8Array|ArrayBuffer|Blob} packetData - Compressed
+   *   packet data, or the same encoded as a container
+   * @param {object} options - `requireSignature` defaults to whether a
+   *   signing key is set
+   * @returns {Promise<any>} Original data, in the form it was given
+   * @throws {PacketIntegrityError} When packets are bad beyond repair
+   */
+  async decompressFromPackets(packetData, options = {}) {
+    if (this.isBinary(packetData)) {
+      packetData = await this.decodeContainer(packetData);
+    }
+    const { packets, parity = [], manifest } = packetData;
+    const { requireSignature = this.signingKey !== null } = options;
+    if (!manifest && packetData.metadata?.algorithm === "multi-layer-v3") {
+      // v3 kept the codebook of its character substitution layer on the
+      // engine instance and never stored it, so its output cannot be read
+      // back once that engine is gone (v3 itself failed after a reload)
+      throw new Error(
+        "Packets from the v3 engine (multi-layer-v3) cannot be decoded: their substitution codebook was never stored",
+      );
+    }
+    if (!manifest) {
+      throw new PacketIntegrityError(
+        `Packet data has no manifest (algorithm: ${packetData.metadata?.algorithm ?? "unknown"})`,
+      );
+    }
+    if (manifest.algorithm !== "deflate") {
+      throw new Error(`Unsupported packet algorithm: ${manifest.algorithm}`);
+    }
+    await this.verifyManifest(manifest, requireSignature);
+    const dictionary = manifest.dictionary
+      ? this.dictionaryFor(manifest.dictionary.id, manifest.dictionary.checksum)
+      : null;
+
+    const payload = this.reassemblePackets(packets, parity, manifest);
+    if ((await this.sha256Hex(payload)) !== manifest.hash) {
+      throw new PacketIntegrityError(
+        "Payload hash does not match the manifest",
+      );
+    }
 
-    // Binary to text
-    let compressed = this.binaryToText(binaryData);
+    return this.fromBytes(
+      this.inflate(payload, dictionary && dictionary.bytes),
+      manifest,
+    );
+  }
 
-    // Reverse compression layers
-    compressed = this.huffmanDecode(compressed);
-    compressed = this.runLengthDecode(compressed);
-    compressed = this.dictionaryDecompress(compressed);
+  /**
+   * Sign packet manifests with HMAC-SHA-256; null stops signing
+   * @param {string|Uint8Array|null} secret - Shared secret
+   */
+  async setSigningKey(secret) {
+    if (secret === null) {
+      this.signingKey = null;
+      return;
+    }
+    const raw = DeflateCompressor.toUint8Array(secret);
+    const key = await crypto.subtle.importKey(
+      "raw",
+      raw,
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign", "verify"],
+    );
+    const keyId = (await this.sha256Hex(raw)).slice(0, 16);
+    this.signingKey = { key, keyId };
+    console.log(`🔏 Packet manifests signed with key ${keyId}`);
+  }
 
-    // Parse JSON
-    try {
-      return JSON.parse(compressed);
-    } catch {
-      return compressed;
+  async signManifest(manifest) {
+    if (!this.signingKey) {
+      return { ...manifest, keyId: null, signature: null };
+    }
+    const unsigned = { ...manifest, keyId: this.signingKey.keyId };
+    const signature = await crypto.subtle.sign(
+      "HMAC",
+      this.signingKey.key,
+      new TextEncoder().encode(JSON.stringify(unsigned)),
+    );
+    return { ...unsigned, signature: this.toHex(signature) };
+  }
+
+  async verifyManifest(manifest, requireSignature) {
+    const { signature, ...unsigned } = manifest;
+    if (!signature) {
+      if (requireSignature) {
+        throw new PacketIntegrityError("Packet manifest is not signed");
+      }
+      return;
+    }
+    if (!this.signingKey || this.signingKey.keyId !== manifest.keyId) {
+      throw new PacketIntegrityError(
+        `Packet manifest is signed with key ${manifest.keyId}, which is not loaded`,
+      );
+    }
+    const valid = await crypto.subtle.verify(
+      "HMAC",
+      this.signingKey.key,
+      this.fromHex(signature),
+      new TextEncoder().encode(JSON.stringify(unsigned)),
+    );
+    if (!valid) {
+      throw new PacketIntegrityError("Packet manifest signature is invalid");
     }
   }
 
   /**
-   * Dictionary-based compression
+   * Raw DEFLATE (RFC 1951) of a whole buffer, optionally against a preset
+   * dictionary (the same bytes must be given to inflate)
    */
-  dictionaryCompress(text) {
-    const dictionary = new Map();
-    const commonWords = [
-      "the",
-      "and",
-      "for",
-      "that",
-      "with",
-      "from",
-      "this",
-      "have",
-      "data",
-      "user",
-    ];
-
-    let compressed = text;
-    commonWords.forEach((word, index) => {
-      const token = `§${index}§`;
-      compressed = compressed.split(word).join(token);
-      dictionary.set(token, word);
-    });
-
-    return compressed;
-  }
-
-  dictionaryDecompress(compressed) {
-    let text = compressed;
-    const commonWords = [
-      "the",
-      "and",
-      "for",
-      "that",
-      "with",
-      "from",
-      "this",
-      "have",
-      "data",
-      "user",
-    ];
+  deflate(data, level = this.compressionLevel, dictionary = null) {
+    const compressor = this.createCompressor(level, dictionary);
+    return AdvancedCompressionEngine.concatBytes([
+      compressor.push(data),
+      compressor.finish(),
+    ]);
+  }
 
-    commonWords.forEach((word, index) => {
-      const token = `§${index}§`;
-      text = text.split(token).join(word);
-    });
+  inflate(data, dictionary = null) {
+    const decompressor = this.createDecompressor(dictionary);
+    return AdvancedCompressionEngine.concatBytes([
+      decompressor.push(data),
+      decompressor.finish(),
+    ]);
+  }
 
-    return text;
+  /**
+   * Incremental compressor: push(chunk) and finish() return compressed bytes
+   */
+  createCompressor(level = this.compressionLevel, dictionary = null) {
+    return new DeflateCompressor(level, dictionary);
   }
 
   /**
-   * Run-length encoding
+   * Incremental decompressor: push(chunk) and finish() return original bytes
    */
-  runLengthEncode(text) {
-    let encoded = "";
-    let count = 1;
+  createDecompressor(dictionary = null) {
+    return new DeflateDecompressor(dictionary);
+  }
 
-    for (let i = 0; i < text.length; i++) {
-      if (text[i] === text[i + 1]) {
-        count++;
-      } else {
-        encoded += count > 3 ? `${count}${text[i]}` : text[i].repeat(count);
-        count = 1;
-      }
-    }
+  /**
+   * Compress a ReadableStream of bytes or strings
+   * @returns {ReadableStream<Uint8Array>} Raw DEFLATE stream
+   */
+  compressStream(readable, level = this.compressionLevel) {
+    return this.pipeCodec(readable, this.createCompressor(level));
+  }
 
-    return encoded;
+  /**
+   * Decompress a ReadableStream of raw DEFLATE bytes
+   * @returns {ReadableStream<Uint8Array>}
+   */
+  decompressStream(readable) {
+    return this.pipeCodec(readable, this.createDecompressor());
   }
 
-  runLengthDecode(encoded) {
-    let decoded = "";
-    let i = 0;
+  pipeCodec(readable, codec) {
+    return readable.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          const bytes = codec.push(chunk);
+          if (bytes.length) controller.enqueue(bytes);
+        },
+        flush(controller) {
+          const bytes = codec.finish();
+          if (bytes.length) controller.enqueue(bytes);
+        },
+      }),
+    );
+  }
 
-    while (i < encoded.length) {
-      let count = "";
-      while (!isNaN(encoded[i]) && encoded[i] !== undefined) {
-        count += encoded[i];
-        i++;
+  /**
+   * Compress any supported input; Blobs are read as a stream
+   * @returns {Promise<object>} { compressed, originalSize, source }, where
+   *   source holds the manifest fields that restore the caller's value
+   */
+  async compressInput(data, level, dictionary = null) {
+    const preset = dictionary && dictionary.bytes;
+    if (typeof Blob !== "undefined" && data instanceof Blob) {
+      const compressor = this.createCompressor(level, preset);
+      const chunks = [];
+      const reader = data.stream().getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(compressor.push(value));
       }
+      chunks.push(compressor.finish());
 
-      if (count) {
-        decoded += encoded[i].repeat(parseInt(count));
-        i++;
-      } else {
-        decoded += encoded[i];
-        i++;
-      }
+      return {
+        compressed: AdvancedCompressionEngine.concatBytes(chunks),
+        originalSize: data.size,
+        source: this.describeBlob(data),
+      };
     }
 
-    return decoded;
+    const { bytes, encoding } = this.toBytes(data);
+    return {
+      compressed: this.deflate(bytes, level, preset),
+      originalSize: bytes.length,
+      source: { encoding },
+    };
   }
 
   /**
-   * Huffman encoding (simplified)
+   * Raw bytes of any supported input, plus the fields fromBytes() needs
+   * to give the caller's value back
    */
-  huffmanEncode(text) {
-    // Frequency analysis
-    const freq = {};
-    for (const char of text) {
-      freq[char] = (freq[char] || 0) + 1;
+  async readInput(data) {
+    if (typeof Blob !== "undefined" && data instanceof Blob) {
+      return {
+        bytes: new Uint8Array(await data.arrayBuffer()),
+        source: this.describeBlob(data),
+      };
     }
+    const { bytes, encoding } = this.toBytes(data);
+    return { bytes, source: { encoding } };
+  }
 
-    // Build Huffman tree (simplified - using frequency-based substitution)
-    const sorted = Object.entries(freq).sort((a, b) => b[1] - a[1]);
-    const codes = {};
-    sorted.forEach(([char], index) => {
-      codes[char] = index.toString(36);
-    });
-
-    // Encode
-    let encoded = "";
-    for (const char of text) {
-      encoded += codes[char];
+  describeBlob(blob) {
+    const source = { encoding: "blob", contentType: blob.type };
+    if (typeof File !== "undefined" && blob instanceof File) {
+      source.fileName = blob.name;
+      source.lastModified = blob.lastModified;
     }
+    return source;
+  }
 
-    // Store codebook
-    this._huffmanCodes = codes;
+  /**
+   * Bytes to compress, and how to turn them back into the caller's value
+   */
+  toBytes(data) {
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      return {
+        bytes: DeflateCompressor.toUint8Array(data),
+        encoding: "binary",
+      };
+    }
+    if (typeof data === "string") {
+      return { bytes: new TextEncoder().encode(data), encoding: "text" };
+    }
+    return {
+      bytes: new TextEncoder().encode(JSON.stringify(data)),
+      encoding: "json",
+    };
+  }
 
-    return encoded;
+  fromBytes(bytes, { encoding, contentType = "", fileName, lastModified }) {
+    if (encoding === "binary") return bytes;
+    if (encoding === "blob") {
+      if (fileName !== undefined && typeof File !== "undefined") {
+        return new File([bytes], fileName, { type: contentType, lastModified });
+      }
+      return new Blob([bytes], { type: contentType });
+    }
+    const text = new TextDecoder().decode(bytes);
+    return encoding === "json" ? JSON.parse(text) : text;
   }
 
-  huffmanDecode(encoded) {
-    if (!this._huffmanCodes) return encoded;
+  isBinary(value) {
+    return (
+      value instanceof ArrayBuffer ||
+      ArrayBuffer.isView(value) ||
+      (typeof Blob !== "undefined" && value instanceof Blob)
+    );
+  }
 
-    // Reverse codebook
-    const reverseCodes = {};
-    Object.entries(this._huffmanCodes).forEach(([char, code]) => {
-      reverseCodes[code] = char;
-    });
+  /**
+   * Binary container: a fixed header, the manifest and metadata as JSON,
+   * then one record per packet
+   *
+   *   "CHPK" | version u8 | algorithm id u8 | reserved u16 |
+   *   header length u32 | header JSON |
+   *   (kind u8 [0 data, 1 parity] | id u32 | checksum u32 | size u32 | bytes)*
+   *
+   * Integers are little-endian.
+   * @returns {Uint8Array}
+   */
+  encodeContainer(packetData) {
+    const { packets, parity = [], manifest, metadata = null } = packetData;
+    const algorithmId = AdvancedCompressionEngine.CONTAINER_ALGORITHMS.indexOf(
+      manifest.algorithm,
+    );
+    if (algorithmId < 1) {
+      throw new Error(`No container id for algorithm ${manifest.algorithm}`);
+    }
+    const header = new TextEncoder().encode(
+      JSON.stringify({ manifest, metadata }),
+    );
+    const records = [
+      ...packets.map((p) => [0, p]),
+      ...parity.map((p) => [1, p]),
+    ];
+    const total =
+      12 +
+      header.length +
+      records.reduce((sum, [, p]) => sum + 13 + p.data.length, 0);
+
+    const bytes = new Uint8Array(total);
+    const view = new DataView(bytes.buffer);
+    bytes.set(AdvancedCompressionEngine.CONTAINER_MAGIC);
+    view.setUint8(4, AdvancedCompressionEngine.CONTAINER_VERSION);
+    view.setUint8(5, algorithmId);
+    view.setUint32(8, header.length, true);
+    bytes.set(header, 12);
+
+    let offset = 12 + header.length;
+    for (const [kind, packet] of records) {
+      view.setUint8(offset, kind);
+      view.setUint32(offset + 1, packet.id, true);
+      view.setUint32(offset + 5, packet.checksum, true);
+      view.setUint32(offset + 9, packet.data.length, true);
+      bytes.set(packet.data, offset + 13);
+      offset += 13 + packet.data.length;
+    }
+    return bytes;
+  }
 
-    // Decode
-    let decoded = "";
-    let buffer = "";
+  /**
+   * Read a container back into packet data. A truncated tail only loses
+   * the packets it cuts, which parity may still rebuild.
+   * @param {Uint8Array|ArrayBuffer|Blob} source
+   * @returns {Promise<object>}
+   */
+  async decodeContainer(source) {
+    const bytes =
+      typeof Blob !== "undefined" && source instanceof Blob
+        ? new Uint8Array(await source.arrayBuffer())
+        : DeflateCompressor.toUint8Array(source);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = AdvancedCompressionEngine.CONTAINER_MAGIC;
+    if (bytes.length < 12 || magic.some((b, i) => bytes[i] !== b)) {
+      throw new PacketIntegrityError("Not a compressed packet container");
+    }
+    const version = view.getUint8(4);
+    if (version > AdvancedCompressionEngine.CONTAINER_VERSION) {
+      throw new Error(`Unsupported container version ${version}`);
+    }
+    const algorithm =
+      AdvancedCompressionEngine.CONTAINER_ALGORITHMS[view.getUint8(5)];
+    const headerLength = view.getUint32(8, true);
+    if (12 + headerLength > bytes.length) {
+      throw new PacketIntegrityError("Container header is truncated");
+    }
+    let header;
+    try {
+      header = JSON.parse(
+        new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)),
+      );
+    } catch {
+      throw new PacketIntegrityError("Container header is corrupt");
+    }
+    if (header.manifest?.algorithm !== algorithm) {
+      throw new PacketIntegrityError(
+        "Container algorithm does not match its manifest",
+      );
+    }
 
-    for (const char of encoded) {
-      buffer += char;
-      if (reverseCodes[buffer]) {
-        decoded += reverseCodes[buffer];
-        buffer = "";
-      }
+    const packets = [];
+    const parity = [];
+    let offset = 12 + headerLength;
+    while (offset + 13 <= bytes.length) {
+      const size = view.getUint32(offset + 9, true);
+      if (offset + 13 + size > bytes.length) break;
+      (view.getUint8(offset) === 1 ? parity : packets).push({
+        id: view.getUint32(offset + 1, true),
+        data: bytes.slice(offset + 13, offset + 13 + size),
+        size,
+        checksum: view.getUint32(offset + 5, true),
+      });
+      offset += 13 + size;
     }
+    return { packets, parity, ...header };
+  }
 
-    return decoded;
+  formatRatio(originalSize, compressedSize) {
+    if (originalSize === 0) return "0.00%";
+    return `${((1 - compressedSize / originalSize) * 100).toFixed(2)}%`;
   }
 
-  /**
-   * Text to binary conversion
-   */
-  textToBinary(text) {
-    const encoder = new TextEncoder();
-    const bytes = encoder.encode(text);
+  static concatBytes(chunks) {
+    if (chunks.length === 1) return chunks[0];
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
     return bytes;
   }
 
-  binaryToText(bytes) {
-    const decoder = new TextDecoder();
-    return decoder.decode(bytes);
+  async sha256Hex(bytes) {
+    return this.toHex(await crypto.subtle.digest("SHA-256", bytes));
+  }
+
+  toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), (b) =>
+      b.toString(16).padStart(2, "0"),
+    ).join("");
+  }
+
+  fromHex(hex) {
+    return Uint8Array.from(hex.match(/../g) ?? [], (b) => parseInt(b, 16));
   }
 
   /**
@@ -280,7 +564,7 @@ class AdvancedCompressionEngine {
       const chunk = data.slice(i, i + packetSize);
       packets.push({
         id: packets.length,
-        data: Array.from(chunk),
+        data: chunk,
         size: chunk.length,
         checksum: this.calculateChecksum(chunk),
       });
@@ -290,125 +574,1369 @@ class AdvancedCompressionEngine {
   }
 
   /**
-   * Reassemble packets
+   * Reed-Solomon parity over the data packets, each padded to the longest
+   * one (packetSize, or the whole payload when that is smaller); any
+   * `count` lost or corrupt packets can be rebuilt from them
+   */
+  createParityPackets(packets, count) {
+    if (!count) return [];
+    const codec = new ReedSolomonCodec(packets.length, count);
+    const shardSize = Math.max(0, ...packets.map((p) => p.data.length));
+    const shards = packets.map((p) => {
+      const shard = new Uint8Array(shardSize);
+      shard.set(p.data);
+      return shard;
+    });
+    return codec.encode(shards).map((shard, index) => ({
+      id: index,
+      data: shard,
+      size: shard.length,
+      checksum: this.calculateChecksum(shard),
+    }));
+  }
+
+  /**
+   * Reassemble packets in manifest order, checking each against the
+   * manifest's CRC32 and rebuilding bad ones from parity
+   * @throws {PacketIntegrityError} Listing the bad packets
    */
-  reassemblePackets(packets) {
-    // Sort by ID to ensure correct order
-    const sorted = packets.sort((a, b) => a.id - b.id);
+  reassemblePackets(packets, parity, manifest) {
+    const { packetCount, packetSize, size } = manifest;
+    const expectedSize = (id) =>
+      id < packetCount - 1 ? packetSize : size - packetSize * (packetCount - 1);
+
+    const good = (list, count, checksums, sizeOf) => {
+      const byId = new Map(list.map((p) => [p.id, p]));
+      return Array.from({ length: count }, (_, id) => {
+        const packet = byId.get(id);
+        if (!packet || packet.data?.length !== sizeOf(id)) return null;
+        const bytes =
+          packet.data instanceof Uint8Array
+            ? packet.data
+            : Uint8Array.from(packet.data);
+        return this.calculateChecksum(bytes) === checksums[id] ? bytes : null;
+      });
+    };
+    const data = good(packets, packetCount, manifest.checksums, expectedSize);
+    const bad = data.flatMap((bytes, id) => (bytes ? [] : [id]));
+
+    if (bad.length > 0) {
+      const parityCount = manifest.parity?.count ?? 0;
+      // Manifests without a parity size padded every shard to packetSize
+      const shardSize = manifest.parity?.size ?? packetSize;
+      const shards = good(
+        parity,
+        parityCount,
+        manifest.parity?.checksums ?? [],
+        () => shardSize,
+      );
+      const available = shards.filter(Boolean).length;
+      if (bad.length > available) {
+        throw new PacketIntegrityError(
+          `Packets ${bad.join(", ")} are missing or corrupt and only ${available} parity packets are intact`,
+          bad,
+        );
+      }
 
-    // Combine data
-    const combined = sorted.flatMap((p) => p.data);
+      const padded = data.map((bytes) => {
+        if (!bytes) return null;
+        const shard = new Uint8Array(shardSize);
+        shard.set(bytes);
+        return shard;
+      });
+      const rebuilt = new ReedSolomonCodec(
+        packetCount,
+        parityCount,
+      ).reconstruct([...padded, ...shards]);
+      for (const id of bad) {
+        data[id] = rebuilt[id].subarray(0, expectedSize(id));
+      }
+      console.log(`🩹 Rebuilt packets ${bad.join(", ")} from parity`);
+    }
 
-    return new Uint8Array(combined);
+    return AdvancedCompressionEngine.concatBytes(data);
   }
 
   /**
-   * Calculate checksum for integrity verification
+   * CRC-32 (IEEE) of a packet for integrity verification
    */
   calculateChecksum(data) {
-    let sum = 0;
-    for (const byte of data) {
-      sum = (sum + byte) % 256;
+    const table = AdvancedCompressionEngine.crcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
     }
-    return sum;
+    return (crc ^ 0xffffffff) >>> 0;
   }
 
   /**
-   * Delta compression - only store differences
-   * @param {any} oldData - Previous version
-   * @param {any} newData - New version
-   * @returns {object} Delta patch
+   * Content-defined chunking (FastCDC): cut points depend only on the
+   * bytes around them, so an edit changes the chunks near it and every
+   * other chunk keeps its hash
+   * @param {Uint8Array} bytes - Data to split
+   * @param {object} options - { minSize, avgSize, maxSize }, defaulting to
+   *   this.chunking
+   * @returns {Uint8Array[]} Chunks, as views into bytes
    */
-  createDelta(oldData, newData) {
-    const oldStr = JSON.stringify(oldData);
-    const newStr = JSON.stringify(newData);
-
-    const delta = [];
-    let i = 0;
+  chunkContent(bytes, options = {}) {
+    const { minSize, avgSize, maxSize } = { ...this.chunking, ...options };
+    const chunks = [];
+    for (let start = 0; start < bytes.length;) {
+      const length = this.findCutPoint(bytes, start, minSize, avgSize, maxSize);
+      chunks.push(bytes.subarray(start, start + length));
+      start += length;
+    }
+    return chunks;
+  }
 
-    while (i < Math.max(oldStr.length, newStr.length)) {
-      if (oldStr[i] !== newStr[i]) {
-        // Find length of difference
-        let len = 0;
-        while (oldStr[i + len] !== newStr[i + len] && i + len < newStr.length) {
-          len++;
-        }
+  findCutPoint(bytes, start, minSize, avgSize, maxSize) {
+    const remaining = bytes.length - start;
+    if (remaining <= minSize) return remaining;
+
+    // Normalized chunking: a stricter mask before avgSize and a looser one
+    // after it pull chunk sizes towards the average
+    const bits = Math.round(Math.log2(avgSize));
+    const topBits = (n) => (((1 << n) - 1) << (32 - n)) >>> 0;
+    const strictMask = topBits(bits + 2);
+    const looseMask = topBits(bits - 2);
+    const gear = AdvancedCompressionEngine.gearTable();
+    const normal = Math.min(avgSize, remaining);
+    const limit = Math.min(maxSize, remaining);
+
+    let hash = 0;
+    let i = minSize;
+    for (; i < normal; i++) {
+      hash = ((hash << 1) + gear[bytes[start + i]]) >>> 0;
+      if ((hash & strictMask) === 0) return i + 1;
+    }
+    for (; i < limit; i++) {
+      hash = ((hash << 1) + gear[bytes[start + i]]) >>> 0;
+      if ((hash & looseMask) === 0) return i + 1;
+    }
+    return limit;
+  }
 
-        delta.push({
-          position: i,
-          length: len,
-          value: newStr.substr(i, len),
-        });
+  // Gear hash values from a fixed seed: stored chunk hashes, and so
+  // deduplication, depend on this table never changing
+  static gearTable() {
+    if (!AdvancedCompressionEngine.gear) {
+      let state = 0x9e3779b9;
+      AdvancedCompressionEngine.gear = Uint32Array.from({ length: 256 }, () => {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return state >>> 0;
+      });
+    }
+    return AdvancedCompressionEngine.gear;
+  }
 
-        i += len;
-      }
-      i++;
+  static crcTable() {
+    if (!AdvancedCompressionEngine.crc) {
+      AdvancedCompressionEngine.crc = Uint32Array.from(
+        { length: 256 },
+        (_, n) => {
+          let c = n;
+          for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+          }
+          return c;
+        },
+      );
     }
+    return AdvancedCompressionEngine.crc;
+  }
+
+  /**
+   * Delta compression - only store differences, as an RFC 6902 JSON Patch.
+   * Strings of textDiffThreshold characters or more change through a
+   * `text` op holding a Myers diff, an extension to RFC 6902; pass
+   * { textDiff: false } for a strictly standard patch.
+   * @param {any} oldData - Previous version
+   * @param {any} newData - New version
+   * @param {object} options - { textDiff }
+   * @returns {object} Delta patch
+   */
+  createDelta(oldData, newData, options = {}) {
+    const { textDiff = true } = options;
+    const patch = [];
+    this.diffValues(oldData, newData, "", patch, textDiff);
 
+    const oldSize = JSON.stringify(oldData)?.length ?? 0;
+    const newSize = JSON.stringify(newData)?.length ?? 0;
     return {
-      delta,
-      baseSize: oldStr.length,
-      savings: `${((1 - JSON.stringify(delta).length / newStr.length) * 100).toFixed(2)}%`,
+      format: "json-patch",
+      delta: patch,
+      baseSize: oldSize,
+      savings: this.formatRatio(newSize, JSON.stringify(patch).length),
     };
   }
 
   /**
-   * Apply delta patch
+   * Apply a delta from createDelta, or a bare JSON Patch array. The
+   * inputs are left untouched.
    */
   applyDelta(oldData, deltaPatch) {
-    let result = JSON.stringify(oldData);
+    if (Array.isArray(deltaPatch)) {
+      return this.applyPatch(oldData, deltaPatch);
+    }
+    if (deltaPatch.format === "json-patch") {
+      return this.applyPatch(oldData, deltaPatch.delta);
+    }
 
-    // Apply patches in reverse order to maintain positions
-    deltaPatch.delta.reverse().forEach((patch) => {
+    // Character deltas from before JSON Patch
+    let result = JSON.stringify(oldData);
+    [...deltaPatch.delta].reverse().forEach((patch) => {
       result =
         result.substr(0, patch.position) +
         patch.value +
         result.substr(patch.position + patch.length);
     });
-
     return JSON.parse(result);
   }
 
+  diffValues(oldValue, newValue, path, patch, textDiff) {
+    if (this.stableStringify(oldValue) === this.stableStringify(newValue)) {
+      return;
+    }
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+      this.diffArrays(oldValue, newValue, path, patch, textDiff);
+      return;
+    }
+    if (this.isPlainObject(oldValue) && this.isPlainObject(newValue)) {
+      for (const key of Object.keys(oldValue)) {
+        if (!Object.hasOwn(newValue, key)) {
+          patch.push({
+            op: "remove",
+            path: `${path}/${this.escapePointer(key)}`,
+          });
+        }
+      }
+      for (const [key, value] of Object.entries(newValue)) {
+        const child = `${path}/${this.escapePointer(key)}`;
+        if (Object.hasOwn(oldValue, key)) {
+          this.diffValues(oldValue[key], value, child, patch, textDiff);
+        } else {
+          patch.push({ op: "add", path: child, value });
+        }
+      }
+      return;
+    }
+    if (
+      textDiff &&
+      typeof oldValue === "string" &&
+      typeof newValue === "string" &&
+      Math.min(oldValue.length, newValue.length) >= this.textDiffThreshold
+    ) {
+      const diff = this.diffText(oldValue, newValue);
+      if (
+        diff &&
+        JSON.stringify(diff).length < JSON.stringify(newValue).length
+      ) {
+        patch.push({ op: "text", path, diff });
+        return;
+      }
+    }
+    patch.push({ op: "replace", path, value: newValue });
+  }
+
+  // Myers diff over element fingerprints; a removed element next to an
+  // inserted one is diffed in place instead
+  diffArrays(oldArray, newArray, path, patch, textDiff) {
+    const keys = (array) => array.map((item) => this.stableStringify(item));
+    const script = this.myersDiff(keys(oldArray), keys(newArray));
+    if (!script) {
+      patch.push({ op: "replace", path, value: newArray });
+      return;
+    }
+
+    let index = 0;
+    let a = 0;
+    let b = 0;
+    for (let i = 0; i < script.length; i++) {
+      const [kind, count] = script[i];
+      if (kind === "=") {
+        index += count;
+        a += count;
+        b += count;
+        continue;
+      }
+      let removed = kind === "-" ? count : 0;
+      let added = kind === "+" ? count : 0;
+      if (kind === "-" && script[i + 1]?.[0] === "+") {
+        added = script[++i][1];
+      }
+      const paired = Math.min(removed, added);
+      for (let k = 0; k < paired; k++) {
+        this.diffValues(
+          oldArray[a++],
+          newArray[b++],
+          `${path}/${index++}`,
+          patch,
+          textDiff,
+        );
+      }
+      for (let k = paired; k < removed; k++) {
+        patch.push({ op: "remove", path: `${path}/${index}` });
+        a++;
+      }
+      for (let k = paired; k < added; k++) {
+        patch.push({
+          op: "add",
+          path: `${path}/${index++}`,
+          value: newArray[b++],
+        });
+      }
+    }
+  }
+
+  /**
+   * Myers diff of two strings: numbers keep (positive) or delete
+   * (negative) that many characters, strings are inserted
+   * @returns {Array|null} null when the texts differ too much to be worth it
+   */
+  diffText(oldText, newText) {
+    const script = this.myersDiff(oldText, newText);
+    if (!script) return null;
+
+    const diff = [];
+    let b = 0;
+    for (const [kind, count] of script) {
+      if (kind === "=") diff.push(count);
+      else if (kind === "-") diff.push(-count);
+      else diff.push(newText.slice(b, b + count));
+      if (kind !== "-") b += count;
+    }
+    if (
+      typeof diff[diff.length - 1] === "number" &&
+      diff[diff.length - 1] > 0
+    ) {
+      diff.pop(); // trailing keep is implied
+    }
+    return diff;
+  }
+
+  applyTextDiff(text, diff) {
+    let out = "";
+    let position = 0;
+    for (const edit of diff) {
+      if (typeof edit === "string") {
+        out += edit;
+      } else if (edit > 0) {
+        out += text.slice(position, position + edit);
+        position += edit;
+      } else {
+        position -= edit;
+      }
+      if (position > text.length) {
+        throw new Error("Text diff does not fit the original string");
+      }
+    }
+    return out + text.slice(position);
+  }
+
+  /**
+   * Myers O((N+M)D) shortest edit script between two sequences compared
+   * with ===, as runs of ["=", n], ["-", n] and ["+", n]
+   * @returns {Array|null} null past maxDiffCost edits
+   */
+  myersDiff(a, b) {
+    // Common prefix and suffix cost nothing to strip
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (
+      suffix < a.length - prefix &&
+      suffix < b.length - prefix &&
+      a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+    const n = a.length - prefix - suffix;
+    const m = b.length - prefix - suffix;
+    const at = (seq, i) => seq[prefix + i];
+
+    const maxCost = Math.min(n + m, this.maxDiffCost);
+    const offset = maxCost + 1;
+    const v = new Int32Array(2 * maxCost + 3);
+    const trace = [];
+    let found = n === 0 && m === 0;
+    for (let d = 0; d <= maxCost && !found; d++) {
+      trace.push(v.slice(offset - d - 1, offset + d + 2));
+      for (let k = -d; k <= d; k += 2) {
+        let x =
+          k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+            ? v[offset + k + 1]
+            : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && at(a, x) === at(b, y)) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break;
+        }
+      }
+    }
+    if (!found) return null;
+
+    // Walk the trace back from (n, m)
+    const moves = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+      const window = trace[d];
+      const get = (k) => window[k + d + 1];
+      const k = x - y;
+      const prevK =
+        k === -d || (k !== d && get(k - 1) < get(k + 1)) ? k + 1 : k - 1;
+      const prevX = get(prevK);
+      const prevY = prevX - prevK;
+      while (x > prevX && y > prevY) {
+        moves.push("=");
+        x--;
+        y--;
+      }
+      if (d > 0) moves.push(x === prevX ? "+" : "-");
+      x = prevX;
+      y = prevY;
+    }
+
+    const script = [];
+    const run = (kind, count) => {
+      if (count === 0) return;
+      const last = script[script.length - 1];
+      if (last?.[0] === kind) last[1] += count;
+      else script.push([kind, count]);
+    };
+    run("=", prefix);
+    for (let i = moves.length - 1; i >= 0; i--) run(moves[i], 1);
+    run("=", suffix);
+    return script;
+  }
+
+  /**
+   * Apply an RFC 6902 JSON Patch (plus `text` ops) to a copy of the
+   * document. All or nothing: a failing op throws and nothing changes.
+   */
+  applyPatch(document, patch) {
+    let doc = structuredClone(document);
+    patch.forEach((operation, i) => {
+      try {
+        doc = this.applyOperation(doc, operation);
+      } catch (error) {
+        throw new Error(
+          `Patch operation ${i} (${operation.op} ${operation.path}) failed: ${error.message}`,
+        );
+      }
+    });
+    return doc;
+  }
+
+  applyOperation(doc, { op, path, from, value, diff }) {
+    switch (op) {
+      case "add":
+        return this.pointerAdd(doc, path, structuredClone(value));
+      case "remove":
+        return this.pointerRemove(doc, path).doc;
+      case "replace":
+        return this.pointerAdd(
+          this.pointerRemove(doc, path).doc,
+          path,
+          structuredClone(value),
+        );
+      case "move": {
+        if (path.startsWith(`${from}/`)) {
+          throw new Error("Cannot move a value into itself");
+        }
+        const removed = this.pointerRemove(doc, from);
+        return this.pointerAdd(removed.doc, path, removed.value);
+      }
+      case "copy":
+        return this.pointerAdd(
+          doc,
+          path,
+          structuredClone(this.pointerGet(doc, from)),
+        );
+      case "test":
+        if (
+          this.stableStringify(this.pointerGet(doc, path)) !==
+          this.stableStringify(value)
+        ) {
+          throw new Error("Test failed");
+        }
+        return doc;
+      case "text": {
+        const text = this.pointerGet(doc, path);
+        if (typeof text !== "string") throw new Error("Target is not a string");
+        return this.pointerAdd(
+          this.pointerRemove(doc, path).doc,
+          path,
+          this.applyTextDiff(text, diff),
+        );
+      }
+      default:
+        throw new Error(`Unknown op "${op}"`);
+    }
+  }
+
+  parsePointer(path) {
+    if (path === "") return [];
+    if (!path.startsWith("/"))
+      throw new Error(`Invalid JSON Pointer "${path}"`);
+    return path
+      .slice(1)
+      .split("/")
+      .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+  }
+
+  escapePointer(key) {
+    return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+  }
+
+  // Parent container and final token of a pointer
+  resolveParent(doc, path) {
+    const tokens = this.parsePointer(path);
+    const key = tokens.pop();
+    let parent = doc;
+    for (const token of tokens) {
+      parent = this.childOf(parent, token);
+    }
+    return { parent, key };
+  }
+
+  childOf(container, token) {
+    if (Array.isArray(container)) {
+      const index = this.arrayIndex(container, token, false);
+      return container[index];
+    }
+    if (this.isPlainObject(container) && Object.hasOwn(container, token)) {
+      return container[token];
+    }
+    throw new Error(`Path not found at "${token}"`);
+  }
+
+  arrayIndex(array, token, forInsert) {
+    if (forInsert && token === "-") return array.length;
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+      throw new Error(`Invalid array index "${token}"`);
+    }
+    const index = Number(token);
+    if (index > array.length || (!forInsert && index === array.length)) {
+      throw new Error(`Array index ${index} out of bounds`);
+    }
+    return index;
+  }
+
+  pointerGet(doc, path) {
+    return this.parsePointer(path).reduce(
+      (value, token) => this.childOf(value, token),
+      doc,
+    );
+  }
+
+  pointerAdd(doc, path, value) {
+    if (path === "") return value;
+    const { parent, key } = this.resolveParent(doc, path);
+    if (Array.isArray(parent)) {
+      parent.splice(this.arrayIndex(parent, key, true), 0, value);
+    } else if (this.isPlainObject(parent)) {
+      parent[key] = value;
+    } else {
+      throw new Error("Parent is not a container");
+    }
+    return doc;
+  }
+
+  pointerRemove(doc, path) {
+    if (path === "") return { doc: undefined, value: doc };
+    const { parent, key } = this.resolveParent(doc, path);
+    let value;
+    if (Array.isArray(parent)) {
+      [value] = parent.splice(this.arrayIndex(parent, key, false), 1);
+    } else if (this.isPlainObject(parent) && Object.hasOwn(parent, key)) {
+      value = parent[key];
+      delete parent[key];
+    } else {
+      throw new Error(`Path not found at "${key}"`);
+    }
+    return { doc, value };
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  // JSON with sorted keys, so equal values always compare equal
+  stableStringify(value) {
+    return JSON.stringify(value, (key, v) =>
+      this.isPlainObject(v)
+        ? Object.fromEntries(
+            Object.keys(v)
+              .sort()
+              .map((k) => [k, v[k]]),
+          )
+        : v,
+    );
+  }
+
   /**
    * Compress specific data types optimally
    */
-  async compressTyped(data, type) {
+  async compressTyped(data, type, options = {}) {
     switch (type) {
       case "image":
-        return this.compressImage(data);
+        return this.compressImage(data, options);
       case "audio":
-        return this.compressAudio(data);
+        return this.compressAudio(data, options);
       case "text":
         return this.compressText(data);
       case "json":
-        return this.compressJSON(data);
+        return this.compressJSON(data, options);
       default:
         return this.compressToPackets(data);
     }
   }
 
-  compressImage(imageData) {
-    // Simulate image compression (in production, use WebP, AVIF)
+  /**
+   * Re-encode an image through OffscreenCanvas, downscaling it to fit
+   * maxDimension. With maxBytes set, quality steps down towards minQuality
+   * until the result fits.
+   * @param {Blob|ImageBitmap|ImageData|ArrayBuffer|Uint8Array} imageData
+   * @param {object} options - { format, quality, minQuality, maxBytes,
+   *   maxDimension }, defaulting to mediaDefaults.image
+   * @returns {Promise<object>} The encoded blob with the settings used
+   *   and the bytes saved
+   */
+  async compressImage(imageData, options = {}) {
+    const { format, quality, minQuality, maxBytes, maxDimension } = {
+      ...this.mediaDefaults.image,
+      ...options,
+    };
+    if (
+      typeof OffscreenCanvas === "undefined" ||
+      typeof createImageBitmap === "undefined"
+    ) {
+      throw new Error(
+        "Image re-encoding needs OffscreenCanvas and createImageBitmap",
+      );
+    }
     console.log("🖼️ Compressing image data...");
-    return this.compressToPackets(imageData, { packetSize: 128 * 1024 });
+
+    const { bitmap, originalSize } = await this.decodeImage(imageData);
+    const originalWidth = bitmap.width;
+    const originalHeight = bitmap.height;
+    const scale = Math.min(
+      1,
+      maxDimension / Math.max(originalWidth, originalHeight),
+    );
+    const width = Math.max(1, Math.round(originalWidth * scale));
+    const height = Math.max(1, Math.round(originalHeight * scale));
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext("2d");
+    if (format === "image/jpeg") {
+      // JPEG has no alpha; flatten onto white rather than black
+      context.fillStyle = "#fff";
+      context.fillRect(0, 0, width, height);
+    }
+    context.drawImage(bitmap, 0, 0, width, height);
+    // A caller's ImageBitmap stays theirs to close
+    if (bitmap !== imageData) bitmap.close?.();
+
+    let used = quality;
+    let blob = await this.encodeCanvas(canvas, format, used);
+    while (maxBytes && blob.size > maxBytes && used > minQuality) {
+      used = Math.max(minQuality, Math.round((used - 0.1) * 100) / 100);
+      blob = await this.encodeCanvas(canvas, blob.type, used);
+    }
+
+    if (typeof File !== "undefined" && imageData instanceof File) {
+      blob = new File([blob], this.renameForType(imageData.name, blob.type), {
+        type: blob.type,
+        lastModified: imageData.lastModified,
+      });
+    }
+    return this.mediaResult(blob, originalSize, {
+      format: blob.type,
+      quality: used,
+      width,
+      height,
+      originalWidth,
+      originalHeight,
+      targetMet: !maxBytes || blob.size <= maxBytes,
+    });
   }
 
-  compressAudio(audioData) {
-    // Simulate audio compression (in production, use Opus, AAC)
-    console.log("🎵 Compressing audio data...");
-    return this.compressToPackets(audioData, { packetSize: 256 * 1024 });
+  async decodeImage(imageData) {
+    if (
+      typeof ImageBitmap !== "undefined" &&
+      imageData instanceof ImageBitmap
+    ) {
+      return {
+        bitmap: imageData,
+        originalSize: imageData.width * imageData.height * 4,
+      };
+    }
+    if (typeof ImageData !== "undefined" && imageData instanceof ImageData) {
+      return {
+        bitmap: await createImageBitmap(imageData),
+        originalSize: imageData.data.byteLength,
+      };
+    }
+    const blob =
+      imageData instanceof Blob
+        ? imageData
+        : new Blob([DeflateCompressor.toUint8Array(imageData)]);
+    return { bitmap: await createImageBitmap(blob), originalSize: blob.size };
   }
 
-  compressText(text) {
+  // convertToBlob silently falls back to PNG for types it can't encode;
+  // for a lossy request, JPEG is the closer substitute
+  async encodeCanvas(canvas, format, quality) {
+    const blob = await canvas.convertToBlob({ type: format, quality });
+    if (blob.type !== format && format !== "image/jpeg") {
+      return canvas.convertToBlob({ type: "image/jpeg", quality });
+    }
+    return blob;
+  }
+
+  renameForType(name, type) {
+    const extension = {
+      "image/webp": "webp",
+      "image/jpeg": "jpg",
+      "audio/wav": "wav",
+    }[type];
+    if (!extension) return name;
+    return name.replace(/(\.[^./]*)?$/, `.${extension}`);
+  }
+
+  /**
+   * Downsample and mix audio to PCM WAV
+   * @param {Blob|ArrayBuffer|Uint8Array|AudioBuffer|object} audioData - WAV
+   *   bytes, other formats the browser can decode, an AudioBuffer, or
+   *   { sampleRate, channels: Float32Array[] }
+   * @param {object} options - { sampleRate, mono, bitDepth }, defaulting to
+   *   mediaDefaults.audio; audio is never upsampled
+   * @returns {Promise<object>} The WAV blob with the settings used and the
+   *   bytes saved
+   */
+  async compressAudio(audioData, options = {}) {
+    const { sampleRate, mono, bitDepth } = {
+      ...this.mediaDefaults.audio,
+      ...options,
+    };
+    console.log("🎵 Compressing audio data...");
+
+    const { audio, originalSize } = await this.decodeAudio(audioData);
+    const targetRate = Math.min(sampleRate, audio.sampleRate);
+    let channels = audio.channels;
+    if (mono && channels.length > 1) {
+      channels = [this.mixToMono(channels)];
+    }
+    channels = channels.map((samples) =>
+      this.resample(samples, audio.sampleRate, targetRate),
+    );
+
+    let blob = new Blob(
+      [this.encodeWav({ sampleRate: targetRate, channels }, bitDepth)],
+      { type: "audio/wav" },
+    );
+    if (typeof File !== "undefined" && audioData instanceof File) {
+      blob = new File([blob], this.renameForType(audioData.name, "audio/wav"), {
+        type: "audio/wav",
+        lastModified: audioData.lastModified,
+      });
+    }
+    return this.mediaResult(blob, originalSize, {
+      format: "audio/wav",
+      sampleRate: targetRate,
+      channels: channels.length,
+      bitDepth,
+      duration: channels[0].length / targetRate,
+      originalSampleRate: audio.sampleRate,
+      originalChannels: audio.channels.length,
+    });
+  }
+
+  async decodeAudio(audioData) {
+    if (
+      typeof AudioBuffer !== "undefined" &&
+      audioData instanceof AudioBuffer
+    ) {
+      const channels = Array.from(
+        { length: audioData.numberOfChannels },
+        (_, c) => audioData.getChannelData(c),
+      );
+      return {
+        audio: { sampleRate: audioData.sampleRate, channels },
+        originalSize: audioData.length * channels.length * 4,
+      };
+    }
+    if (audioData?.channels && audioData.sampleRate) {
+      return {
+        audio: audioData,
+        originalSize: audioData.channels.reduce(
+          (sum, c) => sum + c.byteLength,
+          0,
+        ),
+      };
+    }
+
+    const bytes =
+      audioData instanceof Blob
+        ? new Uint8Array(await audioData.arrayBuffer())
+        : DeflateCompressor.toUint8Array(audioData);
+    if (this.isWav(bytes)) {
+      return { audio: this.decodeWav(bytes), originalSize: bytes.length };
+    }
+    if (typeof OfflineAudioContext === "undefined") {
+      throw new Error("Only WAV audio can be decoded without Web Audio");
+    }
+    const context = new OfflineAudioContext(1, 1, 44100);
+    return {
+      ...(await this.decodeAudio(
+        await context.decodeAudioData(bytes.slice().buffer),
+      )),
+      originalSize: bytes.length,
+    };
+  }
+
+  isWav(bytes) {
+    const tag = (offset) =>
+      String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    return bytes.length >= 12 && tag(0) === "RIFF" && tag(8) === "WAVE";
+  }
+
+  /**
+   * Parse a RIFF WAVE file: integer PCM (8-32 bit) or 32/64-bit float,
+   * including WAVE_FORMAT_EXTENSIBLE
+   * @returns {object} { sampleRate, channels: Float32Array[] } in [-1, 1]
+   */
+  decodeWav(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+      const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+      const size = view.getUint32(offset + 4, true);
+      const body = offset + 8;
+      if (id === "fmt ") {
+        let tag = view.getUint16(body, true);
+        if (tag === 0xfffe) tag = view.getUint16(body + 24, true); // extensible
+        format = {
+          tag,
+          channels: view.getUint16(body + 2, true),
+          sampleRate: view.getUint32(body + 4, true),
+          bitsPerSample: view.getUint16(body + 14, true),
+        };
+      } else if (id === "data") {
+        data = { offset: body, size: Math.min(size, bytes.length - body) };
+      }
+      offset = body + size + (size & 1); // chunks are word-aligned
+    }
+    if (!format || !data) {
+      throw new Error("WAV file is missing its fmt or data chunk");
+    }
+    const { tag, channels, sampleRate, bitsPerSample } = format;
+    if ((tag !== 1 && tag !== 3) || channels < 1) {
+      throw new Error(`Unsupported WAV encoding (format ${tag})`);
+    }
+
+    const bytesPerSample = bitsPerSample / 8;
+    const frames = Math.floor(data.size / (bytesPerSample * channels));
+    const read = this.wavSampleReader(view, tag, bitsPerSample);
+    const output = Array.from(
+      { length: channels },
+      () => new Float32Array(frames),
+    );
+    for (let frame = 0, offset = data.offset; frame < frames; frame++) {
+      for (let c = 0; c < channels; c++, offset += bytesPerSample) {
+        output[c][frame] = read(offset);
+      }
+    }
+    return { sampleRate, channels: output };
+  }
+
+  wavSampleReader(view, tag, bits) {
+    if (tag === 3 && bits === 32) return (o) => view.getFloat32(o, true);
+    if (tag === 3 && bits === 64) return (o) => view.getFloat64(o, true);
+    switch (tag === 1 && bits) {
+      case 8:
+        return (o) => (view.getUint8(o) - 128) / 128;
+      case 16:
+        return (o) => view.getInt16(o, true) / 32768;
+      case 24:
+        return (o) =>
+          ((view.getInt8(o + 2) << 16) | view.getUint16(o, true)) / 8388608;
+      case 32:
+        return (o) => view.getInt32(o, true) / 2147483648;
+      default:
+        throw new Error(`Unsupported WAV sample size (${bits} bits)`);
+    }
+  }
+
+  /**
+   * 8- or 16-bit PCM WAV
+   * @returns {Uint8Array}
+   */
+  encodeWav({ sampleRate, channels }, bitDepth = 16) {
+    if (bitDepth !== 8 && bitDepth !== 16) {
+      throw new Error(`WAV encoding supports 8 or 16 bits, got ${bitDepth}`);
+    }
+    const bytesPerSample = bitDepth / 8;
+    const frames = channels[0]?.length ?? 0;
+    const dataSize = frames * channels.length * bytesPerSample;
+    const bytes = new Uint8Array(44 + dataSize);
+    const view = new DataView(bytes.buffer);
+    const tag = (offset, text) =>
+      bytes.set(
+        Array.from(text, (ch) => ch.charCodeAt(0)),
+        offset,
+      );
+
+    tag(0, "RIFF");
+    view.setUint32(4, 36 + dataSize, true);
+    tag(8, "WAVE");
+    tag(12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // integer PCM
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels.length * bytesPerSample, true);
+    view.setUint16(32, channels.length * bytesPerSample, true);
+    view.setUint16(34, bitDepth, true);
+    tag(36, "data");
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let frame = 0; frame < frames; frame++) {
+      for (const samples of channels) {
+        const sample = Math.max(-1, Math.min(1, samples[frame]));
+        if (bitDepth === 16) {
+          view.setInt16(offset, Math.round(sample * 32767), true);
+        } else {
+          view.setUint8(offset, Math.round(sample * 127) + 128);
+        }
+        offset += bytesPerSample;
+      }
+    }
+    return bytes;
+  }
+
+  mixToMono(channels) {
+    const mono = new Float32Array(channels[0].length);
+    for (const samples of channels) {
+      for (let i = 0; i < mono.length; i++) mono[i] += samples[i];
+    }
+    return mono.map((sum) => sum / channels.length);
+  }
+
+  /**
+   * Downsample by averaging each output sample's span of input samples,
+   * which filters out most of what would otherwise alias
+   */
+  resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+    const ratio = fromRate / toRate;
+    const output = new Float32Array(Math.floor(samples.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+      const start = i * ratio;
+      const end = start + ratio;
+      let sum = 0;
+      for (let position = start; position < end;) {
+        const index = Math.min(Math.floor(position), samples.length - 1);
+        const next = Math.min(end, index + 1);
+        sum += samples[index] * (next - position);
+        position = next;
+      }
+      output[i] = sum / ratio;
+    }
+    return output;
+  }
+
+  mediaResult(blob, originalSize, settings) {
+    const compressedSize = blob.size;
+    this.totals.operations++;
+    this.totals.originalBytes += originalSize;
+    this.totals.compressedBytes += compressedSize;
+
+    const ratio = this.formatRatio(originalSize, compressedSize);
+    console.log(
+      `🗜️ Re-encoded ${originalSize} bytes → ${compressedSize} bytes (${ratio} reduction)`,
+    );
+    return {
+      blob,
+      ...settings,
+      originalSize,
+      compressedSize,
+      savedBytes: originalSize - compressedSize,
+      compressionRatio: ratio,
+    };
+  }
+
+  compressText(text) {
     // Optimized text compression
     console.log("📝 Compressing text data...");
     return this.compressToPackets(text, { packetSize: 32 * 1024 });
   }
 
-  compressJSON(jsonData) {
-    // Remove whitespace and optimize keys
-    const minified = JSON.stringify(jsonData);
-    return this.compressToPackets(minified, { packetSize: 64 * 1024 });
+  /**
+   * Compress JSON, against the latest defaultDictionary version when one
+   * has been trained
+   */
+  compressJSON(jsonData, options = {}) {
+    // JSON.stringify already drops whitespace
+    const trained = this.getDictionary(this.defaultDictionary);
+    return this.compressToPackets(jsonData, {
+      packetSize: 64 * 1024,
+      dictionary: trained ? trained.id : null,
+      ...options,
+    });
+  }
+
+  /**
+   * Train a shared dictionary from sample records (zstd's COVER method):
+   * segments whose 8-byte substrings recur in the most samples, the best
+   * placed last where matches are cheapest. Training a name again
+   * registers its next version; earlier ones stay for older data.
+   * @param {Array} samples - Values as they will be compressed
+   * @param {object} options - { name, size, segmentSize, version,
+   *   register }; name defaults to defaultDictionary, size to 16KB (at
+   *   most the 32KB window), version to the next registered one. With
+   *   register: false the caller registers it, e.g. once it is stored.
+   * @returns {object} The dictionary: { id: "name@version", name,
+   *   version, bytes, checksum, sampleCount, createdAt }
+   */
+  trainDictionary(samples, options = {}) {
+    const { WINDOW_SIZE } = DeflateCompressor;
+    const {
+      name = this.defaultDictionary,
+      size = 16 * 1024,
+      segmentSize = 64,
+    } = options;
+    const dmer = 8;
+    if (!Array.isArray(samples) || samples.length === 0) {
+      throw new Error("Dictionary training needs sample records");
+    }
+    if (!(size >= 256 && size <= WINDOW_SIZE)) {
+      throw new Error(`Dictionary size must be 256-${WINDOW_SIZE} bytes`);
+    }
+
+    // Hash of the d-mer at each position, and how many samples hold it
+    const encoded = samples.map((sample) => this.toBytes(sample).bytes);
+    const data = AdvancedCompressionEngine.concatBytes(encoded);
+    const hashes = new Int32Array(data.length);
+    const valid = new Uint8Array(data.length); // d-mer within one sample
+    const frequency = new Map();
+    let offset = 0;
+    for (const bytes of encoded) {
+      const seen = new Set();
+      for (let i = 0; i + dmer <= bytes.length; i++) {
+        let hash = 0x811c9dc5;
+        for (let j = 0; j < dmer; j++) {
+          hash = Math.imul(hash ^ bytes[i + j], 0x01000193);
+        }
+        hashes[offset + i] = hash;
+        valid[offset + i] = 1;
+        if (!seen.has(hash)) {
+          seen.add(hash);
+          frequency.set(hash, (frequency.get(hash) || 0) + 1);
+        }
+      }
+      offset += bytes.length;
+    }
+
+    // Best segment per epoch, round after round; a chosen d-mer scores
+    // nothing afterwards so the dictionary doesn't repeat itself
+    const epochs = Math.max(
+      1,
+      Math.min(
+        Math.floor(size / segmentSize / 4),
+        Math.floor(data.length / segmentSize),
+      ),
+    );
+    const epochSize = Math.ceil(data.length / epochs);
+    const segments = [];
+    let total = 0;
+    for (let found = true; found && total < size;) {
+      found = false;
+      for (let e = 0; e < epochs && total < size; e++) {
+        const best = this.bestSegment(
+          { hashes, valid, frequency },
+          e * epochSize,
+          Math.min(data.length, (e + 1) * epochSize),
+          segmentSize,
+          dmer,
+        );
+        if (!best) continue;
+        for (let p = best.start; p + dmer <= best.end; p++) {
+          if (valid[p]) frequency.set(hashes[p], 0);
+        }
+        const length = Math.min(best.end - best.start, size - total);
+        segments.push({
+          bytes: data.subarray(best.start, best.start + length),
+          score: best.score,
+        });
+        total += length;
+        found = true;
+      }
+    }
+    if (segments.length === 0) {
+      throw new Error("Samples are too small to train a dictionary");
+    }
+    segments.sort((a, b) => a.score - b.score);
+
+    const latest = this.getDictionary(name);
+    const { version = latest ? latest.version + 1 : 1, register = true } =
+      options;
+    const bytes = AdvancedCompressionEngine.concatBytes(
+      segments.map((segment) => segment.bytes),
+    ).slice();
+    const trained = {
+      id: `${name}@${version}`,
+      name,
+      version,
+      bytes,
+      checksum: this.calculateChecksum(bytes),
+      sampleCount: samples.length,
+      createdAt: new Date().toISOString(),
+    };
+    const dictionary = register ? this.registerDictionary(trained) : trained;
+    console.log(
+      `📖 Trained dictionary ${dictionary.id}: ${total} bytes from ${samples.length} samples`,
+    );
+    return dictionary;
+  }
+
+  /**
+   * Highest-scoring segment in [begin, end): the summed sample counts of
+   * its distinct d-mers, with ends that add nothing trimmed off
+   * @returns {object|null} { start, end, score }
+   */
+  bestSegment({ hashes, valid, frequency }, begin, end, segmentSize, dmer) {
+    const span = segmentSize - dmer + 1; // d-mers per segment
+    const active = new Map();
+    const worth = (p) => (valid[p] ? frequency.get(hashes[p]) : 0);
+    let score = 0;
+    let best = null;
+    for (let p = begin; p + dmer <= end; p++) {
+      if (valid[p]) {
+        const count = active.get(hashes[p]) || 0;
+        if (count === 0) score += frequency.get(hashes[p]);
+        active.set(hashes[p], count + 1);
+      }
+      const leaving = p - span;
+      if (leaving >= begin && valid[leaving]) {
+        const count = active.get(hashes[leaving]);
+        if (count === 1) {
+          active.delete(hashes[leaving]);
+          score -= frequency.get(hashes[leaving]);
+        } else {
+          active.set(hashes[leaving], count - 1);
+        }
+      }
+      if (score > 0 && (!best || score > best.score)) {
+        best = { start: Math.max(begin, p - span + 1), score };
+      }
+    }
+    if (!best) return null;
+
+    let { start } = best;
+    let last = Math.min(start + segmentSize, end) - dmer; // last d-mer
+    while (start < last && !worth(start)) start++;
+    while (last > start && !worth(last)) last--;
+    return { start, end: last + dmer, score: best.score };
+  }
+
+  /**
+   * Register a trained dictionary, e.g. one loaded back from storage.
+   * An id always means the same bytes.
+   * @returns {object} The registered dictionary
+   */
+  registerDictionary(dictionary) {
+    const { id, name, version } = dictionary;
+    if (
+      !/^[\w.-]+$/.test(name) ||
+      !Number.isInteger(version) ||
+      version < 1 ||
+      id !== `${name}@${version}`
+    ) {
+      throw new Error(`Invalid dictionary id: ${id}`);
+    }
+    const bytes = DeflateCompressor.toUint8Array(dictionary.bytes);
+    const checksum = this.calculateChecksum(bytes);
+    if (dictionary.checksum !== undefined && dictionary.checksum !== checksum) {
+      throw new Error(`Dictionary ${id} is corrupt`);
+    }
+    const existing = this.dictionaries.get(id);
+    if (existing) {
+      if (existing.checksum !== checksum) {
+        throw new Error(
+          `Dictionary ${id} is already registered with other content`,
+        );
+      }
+      return existing;
+    }
+
+    const entry = {
+      id,
+      name,
+      version,
+      bytes,
+      checksum,
+      sampleCount: dictionary.sampleCount ?? 0,
+      createdAt: dictionary.createdAt ?? new Date().toISOString(),
+    };
+    this.dictionaries.set(id, entry);
+    return entry;
+  }
+
+  /**
+   * Dictionary by id, or the latest version of a name
+   * @returns {object|null}
+   */
+  getDictionary(ref) {
+    if (this.dictionaries.has(ref)) return this.dictionaries.get(ref);
+    let latest = null;
+    for (const entry of this.dictionaries.values()) {
+      if (entry.name === ref && (!latest || entry.version > latest.version)) {
+        latest = entry;
+      }
+    }
+    return latest;
+  }
+
+  requireDictionary(ref) {
+    const dictionary = this.getDictionary(ref);
+    if (!dictionary) {
+      throw new Error(`Unknown compression dictionary: ${ref}`);
+    }
+    return dictionary;
+  }
+
+  /**
+   * The exact dictionary some data was compressed with
+   */
+  dictionaryFor(id, checksum) {
+    const dictionary = this.dictionaries.get(id);
+    if (!dictionary) {
+      throw new Error(`Unknown compression dictionary: ${id}`);
+    }
+    if (checksum !== undefined && dictionary.checksum !== checksum) {
+      throw new PacketIntegrityError(
+        `Dictionary ${id} does not match the one the data was compressed with`,
+      );
+    }
+    return dictionary;
+  }
+
+  /**
+   * Compact encoding of one small record for storage: no packets or
+   * manifest, just a CRC32 of the original and raw DEFLATE against the
+   * dictionary (defaulting like compressJSON)
+   *
+   *   "CHRC" | version u8 | encoding id u8 | dictionary id length u8 |
+   *   dictionary id | dictionary crc32 u32 (with a dictionary) |
+   *   crc32 u32 | DEFLATE
+   *
+   * @param {any} value - Bytes, a string, or anything JSON-serializable
+   * @param {object} options - { dictionary, level }
+   * @returns {Uint8Array}
+   */
+  compressRecord(value, options = {}) {
+    const { level = this.compressionLevel } = options;
+    const trained =
+      options.dictionary === undefined
+        ? this.getDictionary(this.defaultDictionary)
+        : null;
+    const dictionary = options.dictionary
+      ? this.requireDictionary(options.dictionary)
+      : trained;
+    const { bytes, encoding } = this.toBytes(value);
+    const id = new TextEncoder().encode(dictionary ? dictionary.id : "");
+    if (id.length > 255) {
+      throw new Error(`Dictionary id too long: ${dictionary.id}`);
+    }
+    const compressed = this.deflate(
+      bytes,
+      level,
+      dictionary && dictionary.bytes,
+    );
+
+    const header = 11 + id.length + (dictionary ? 4 : 0);
+    const record = new Uint8Array(header + compressed.length);
+    const view = new DataView(record.buffer);
+    record.set(AdvancedCompressionEngine.RECORD_MAGIC);
+    view.setUint8(4, AdvancedCompressionEngine.RECORD_VERSION);
+    view.setUint8(
+      5,
+      AdvancedCompressionEngine.RECORD_ENCODINGS.indexOf(encoding),
+    );
+    view.setUint8(6, id.length);
+    record.set(id, 7);
+    if (dictionary) {
+      view.setUint32(7 + id.length, dictionary.checksum, true);
+    }
+    view.setUint32(header - 4, this.calculateChecksum(bytes), true);
+    record.set(compressed, header);
+
+    this.totals.operations++;
+    this.totals.originalBytes += bytes.length;
+    this.totals.compressedBytes += record.length;
+    return record;
+  }
+
+  /**
+   * Decode a compressRecord() result
+   * @throws {PacketIntegrityError} When the record is damaged
+   */
+  decompressRecord(record) {
+    const bytes = DeflateCompressor.toUint8Array(record);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = AdvancedCompressionEngine.RECORD_MAGIC;
+    if (bytes.length < 11 || magic.some((b, i) => bytes[i] !== b)) {
+      throw new PacketIntegrityError("Not a compressed record");
+    }
+    const version = view.getUint8(4);
+    if (version > AdvancedCompressionEngine.RECORD_VERSION) {
+      throw new Error(`Unsupported record version ${version}`);
+    }
+    const encoding =
+      AdvancedCompressionEngine.RECORD_ENCODINGS[view.getUint8(5)];
+    const idLength = view.getUint8(6);
+    // Version 1 records carry no dictionary checksum
+    const checked = idLength > 0 && version >= 2;
+    const header = 11 + idLength + (checked ? 4 : 0);
+    if (!encoding || header > bytes.length) {
+      throw new PacketIntegrityError("Compressed record header is corrupt");
+    }
+    const id = new TextDecoder().decode(bytes.subarray(7, 7 + idLength));
+    const dictionary = id
+      ? this.dictionaryFor(
+          id,
+          checked ? view.getUint32(7 + idLength, true) : undefined,
+        )
+      : null;
+
+    let data;
+    try {
+      data = this.inflate(
+        bytes.subarray(header),
+        dictionary && dictionary.bytes,
+      );
+    } catch (error) {
+      throw new PacketIntegrityError(
+        `Compressed record is corrupt: ${error.message}`,
+      );
+    }
+    if (this.calculateChecksum(data) !== view.getUint32(header - 4, true)) {
+      throw new PacketIntegrityError("Compressed record checksum mismatch");
+    }
+    return this.fromBytes(data, { encoding });
   }
 
   /**
@@ -419,13 +1947,987 @@ class AdvancedCompressionEngine {
       version: this.version,
       defaultChunkSize: this.chunkSize,
       compressionLevel: this.compressionLevel,
-      algorithms: ["dictionary", "run-length", "huffman", "binary-packing"],
-      averageRatio: "90%",
+      algorithms: ["lz77", "huffman", "crc32", "reed-solomon"],
+      dictionaries: Array.from(this.dictionaries.keys()),
+      operations: this.totals.operations,
+      averageRatio: this.totals.operations
+        ? this.formatRatio(
+            this.totals.originalBytes,
+            this.totals.compressedBytes,
+          )
+        : null,
       supportedTypes: ["image", "audio", "text", "json", "binary"],
     };
   }
 }
 
+/**
+ * Streaming raw DEFLATE (RFC 1951) compressor: LZ77 over a 32KB window
+ * with hash chains, then per block whichever of stored, fixed-Huffman or
+ * dynamic-Huffman coding is smallest. Levels 1-9 trade speed for ratio
+ * like zlib (greedy matching up to 3, lazy matching from 4); level 0
+ * only stores.
+ */
+class DeflateCompressor {
+  // [good length, lazy length, nice length, chain length], as in zlib
+  static LEVELS = [
+    null,
+    [4, 4, 8, 4],
+    [4, 5, 16, 8],
+    [4, 6, 32, 32],
+    [4, 4, 16, 16],
+    [8, 16, 32, 32],
+    [8, 16, 128, 128],
+    [8, 32, 128, 256],
+    [32, 128, 258, 1024],
+    [32, 258, 258, 4096],
+  ];
+
+  static WINDOW_SIZE = 32768;
+  static fixed = null;
+  static BLOCK_SIZE = 65535; // fits one stored block
+  static LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+    83, 99, 115, 131, 163, 195, 227, 258,
+  ];
+  static LENGTH_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5,
+    5, 5, 5, 0,
+  ];
+  static DIST_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513,
+    769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+  ];
+  static DIST_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10,
+    11, 11, 12, 12, 13, 13,
+  ];
+  static LENGTH_CODE = DeflateCompressor.lengthCodeTable();
+  static CODE_LENGTH_ORDER = [
+    16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+  ];
+
+  constructor(level = 6, dictionary = null) {
+    if (!Number.isInteger(level) || level < 0 || level > 9) {
+      throw new Error(`Compression level must be 0-9, got ${level}`);
+    }
+    this.level = level;
+    // Last 32KB of input, starting as the preset dictionary's tail
+    this.history = dictionary
+      ? DeflateCompressor.toUint8Array(dictionary).slice(
+          -DeflateCompressor.WINDOW_SIZE,
+        )
+      : new Uint8Array(0);
+    this.pending = new Uint8Array(0); // input not yet in a block
+    this.out = new Uint8Array(1024);
+    this.outLength = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.totalIn = 0;
+    this.finished = false;
+  }
+
+  /**
+   * Feed input; returns the compressed bytes completed so far
+   */
+  push(chunk) {
+    if (this.finished) {
+      throw new Error("Compressor already finished");
+    }
+    const bytes = DeflateCompressor.toUint8Array(chunk);
+    this.totalIn += bytes.length;
+
+    const pending = new Uint8Array(this.pending.length + bytes.length);
+    pending.set(this.pending);
+    pending.set(bytes, this.pending.length);
+
+    const { BLOCK_SIZE } = DeflateCompressor;
+    let offset = 0;
+    while (pending.length - offset > BLOCK_SIZE) {
+      this.writeBlock(pending.subarray(offset, offset + BLOCK_SIZE), false);
+      offset += BLOCK_SIZE;
+    }
+    this.pending = pending.slice(offset);
+    return this.take();
+  }
+
+  /**
+   * Compress what is left as the final block
+   */
+  finish() {
+    if (this.finished) {
+      throw new Error("Compressor already finished");
+    }
+    this.writeBlock(this.pending, true);
+    this.pending = new Uint8Array(0);
+    if (this.bitCount > 0) {
+      this.writeBits(0, 8 - this.bitCount);
+    }
+    this.finished = true;
+    return this.take();
+  }
+
+  static toUint8Array(chunk) {
+    if (chunk instanceof Uint8Array) return chunk;
+    if (ArrayBuffer.isView(chunk)) {
+      return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    }
+    if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+    if (typeof chunk === "string") return new TextEncoder().encode(chunk);
+    throw new Error("Expected bytes or a string to compress");
+  }
+
+  writeBlock(block, final) {
+    const { WINDOW_SIZE } = DeflateCompressor;
+    const data = new Uint8Array(this.history.length + block.length);
+    data.set(this.history);
+    data.set(block, this.history.length);
+    const start = this.history.length;
+
+    const tokens = this.level === 0 ? null : this.findMatches(data, start);
+    this.encodeBlock(tokens, block, final);
+
+    this.history = data.slice(Math.max(0, data.length - WINDOW_SIZE));
+  }
+
+  /**
+   * LZ77 over data[start..], with data[..start] as history
+   * @returns {object} { lengths, values, count }: a match has its length
+   *   and distance, a literal length 0 and the byte
+   */
+  findMatches(data, start) {
+    const { WINDOW_SIZE, LEVELS } = DeflateCompressor;
+    const [good, lazy, nice, maxChain] = LEVELS[this.level];
+    const end = data.length;
+    const head = new Int32Array(1 << 15).fill(-1);
+    const prev = new Int32Array(end);
+    const lengths = new Uint16Array(end - start);
+    const values = new Uint16Array(end - start);
+    let count = 0;
+
+    const hash = (p) =>
+      ((data[p] << 10) ^ (data[p + 1] << 5) ^ data[p + 2]) & 0x7fff;
+    const insert = (p) => {
+      if (p + 2 < end) {
+        const h = hash(p);
+        prev[p] = head[h];
+        head[h] = p;
+      }
+    };
+    // Longest match at p that beats `best`, as [length, distance]
+    const longest = (p, best) => {
+      const maxLength = Math.min(258, end - p);
+      if (maxLength < 3 || p + 2 >= end) return null;
+      let chain = best >= good ? maxChain >> 2 : maxChain;
+      let found = null;
+      let candidate = head[hash(p)];
+      while (candidate >= 0 && p - candidate <= WINDOW_SIZE && chain-- > 0) {
+        if (
+          data[candidate + best] === data[p + best] &&
+          data[candidate] === data[p]
+        ) {
+          let length = 0;
+          while (
+            length < maxLength &&
+            data[candidate + length] === data[p + length]
+          ) {
+            length++;
+          }
+          if (length > best) {
+            best = length;
+            found = [length, p - candidate];
+            if (length >= nice) break;
+          }
+        }
+        candidate = prev[candidate];
+      }
+      return found;
+    };
+    const literal = (p) => {
+      lengths[count] = 0;
+      values[count++] = data[p];
+    };
+    const match = ([length, distance]) => {
+      lengths[count] = length;
+      values[count++] = distance;
+    };
+
+    for (let p = Math.max(0, start - WINDOW_SIZE); p < start; p++) {
+      insert(p);
+    }
+
+    let p = start;
+    if (this.level <= 3) {
+      // Greedy: take the first good match
+      while (p < end) {
+        const found = longest(p, 2);
+        if (found) {
+          match(found);
+          for (let k = 0; k < found[0]; k++) insert(p + k);
+          p += found[0];
+        } else {
+          literal(p);
+          insert(p);
+          p++;
+        }
+      }
+    } else {
+      // Lazy: defer each match by one byte in case the next one is longer
+      let previous = null;
+      let deferred = false;
+      while (p < end) {
+        const found =
+          previous && previous[0] >= lazy
+            ? null
+            : longest(p, previous ? previous[0] : 2);
+        insert(p);
+        if (previous && !found) {
+          match(previous);
+          const matchEnd = p - 1 + previous[0];
+          for (let k = p + 1; k < matchEnd; k++) insert(k);
+          p = matchEnd;
+          previous = null;
+          deferred = false;
+          continue;
+        }
+        if (deferred) literal(p - 1);
+        previous = found;
+        deferred = true;
+        p++;
+      }
+      if (deferred) {
+        if (previous) match(previous);
+        else literal(p - 1);
+      }
+    }
+
+    return { lengths, values, count };
+  }
+
+  /**
+   * Write one block as stored, fixed or dynamic Huffman, whichever is
+   * smallest. `tokens` is null at level 0.
+   */
+  encodeBlock(tokens, block, final) {
+    const C = DeflateCompressor;
+    const storedBits =
+      3 + ((8 - ((this.bitCount + 3) & 7)) & 7) + 32 + block.length * 8;
+    if (!tokens) {
+      this.writeStored(block, final);
+      return;
+    }
+
+    const { lengths, values, count } = tokens;
+    const litFreq = new Uint32Array(286);
+    const distFreq = new Uint32Array(30);
+    const symbols = new Uint16Array(count); // literal/length symbol per token
+    const distSymbols = new Uint8Array(count);
+    let extraBits = 0;
+    for (let i = 0; i < count; i++) {
+      if (lengths[i] === 0) {
+        symbols[i] = values[i];
+        litFreq[values[i]]++;
+        continue;
+      }
+      const lengthCode = C.LENGTH_CODE[lengths[i]];
+      const distCode = C.distanceCode(values[i]);
+      symbols[i] = 257 + lengthCode;
+      distSymbols[i] = distCode;
+      litFreq[257 + lengthCode]++;
+      distFreq[distCode]++;
+      extraBits += C.LENGTH_EXTRA[lengthCode] + C.DIST_EXTRA[distCode];
+    }
+    litFreq[256] = 1;
+
+    const litLengths = C.buildLengths(litFreq, 15);
+    const distLengths = C.buildLengths(distFreq, 15);
+    if (!distLengths.some(Boolean)) distLengths[0] = 1;
+    const header = C.encodeCodeLengths(litLengths, distLengths);
+
+    const cost = (freqs, codeLengths) =>
+      freqs.reduce((sum, freq, symbol) => sum + freq * codeLengths[symbol], 0);
+    const fixed = C.fixedLengths();
+    const fixedBits =
+      3 + cost(litFreq, fixed.lit) + cost(distFreq, fixed.dist) + extraBits;
+    const dynamicBits =
+      3 +
+      header.bits +
+      cost(litFreq, litLengths) +
+      cost(distFreq, distLengths) +
+      extraBits;
+
+    if (storedBits <= fixedBits && storedBits <= dynamicBits) {
+      this.writeStored(block, final);
+      return;
+    }
+
+    let lit = fixed.lit;
+    let dist = fixed.dist;
+    this.writeBits(final ? 1 : 0, 1);
+    if (dynamicBits < fixedBits) {
+      this.writeBits(2, 2);
+      this.writeCodeLengths(header);
+      lit = litLengths;
+      dist = distLengths;
+    } else {
+      this.writeBits(1, 2);
+    }
+
+    const litCodes = C.buildCodes(lit);
+    const distCodes = C.buildCodes(dist);
+    for (let i = 0; i < count; i++) {
+      const symbol = symbols[i];
+      this.writeBits(litCodes[symbol], lit[symbol]);
+      if (symbol < 256) continue;
+      const lengthCode = symbol - 257;
+      if (C.LENGTH_EXTRA[lengthCode]) {
+        this.writeBits(
+          lengths[i] - C.LENGTH_BASE[lengthCode],
+          C.LENGTH_EXTRA[lengthCode],
+        );
+      }
+      const distCode = distSymbols[i];
+      this.writeBits(distCodes[distCode], dist[distCode]);
+      if (C.DIST_EXTRA[distCode]) {
+        this.writeBits(
+          values[i] - C.DIST_BASE[distCode],
+          C.DIST_EXTRA[distCode],
+        );
+      }
+    }
+    this.writeBits(litCodes[256], lit[256]);
+  }
+
+  writeStored(block, final) {
+    this.writeBits(final ? 1 : 0, 1);
+    this.writeBits(0, 2);
+    if (this.bitCount > 0) {
+      this.writeBits(0, 8 - this.bitCount);
+    }
+    this.writeBits(block.length, 16);
+    this.writeBits(~block.length & 0xffff, 16);
+    this.reserve(block.length);
+    this.out.set(block, this.outLength);
+    this.outLength += block.length;
+  }
+
+  writeCodeLengths({ hlit, hdist, hclen, clLengths, clCodes, runs }) {
+    this.writeBits(hlit - 257, 5);
+    this.writeBits(hdist - 1, 5);
+    this.writeBits(hclen - 4, 4);
+    for (let i = 0; i < hclen; i++) {
+      this.writeBits(clLengths[DeflateCompressor.CODE_LENGTH_ORDER[i]], 3);
+    }
+    for (const [symbol, extra] of runs) {
+      this.writeBits(clCodes[symbol], clLengths[symbol]);
+      if (symbol === 16) this.writeBits(extra, 2);
+      else if (symbol === 17) this.writeBits(extra, 3);
+      else if (symbol === 18) this.writeBits(extra, 7);
+    }
+  }
+
+  /**
+   * Run-length code the literal/length and distance code lengths with
+   * symbols 16-18, and size the code-length code itself
+   */
+  static encodeCodeLengths(litLengths, distLengths) {
+    let hlit = 286;
+    while (hlit > 257 && litLengths[hlit - 1] === 0) hlit--;
+    let hdist = 30;
+    while (hdist > 1 && distLengths[hdist - 1] === 0) hdist--;
+
+    const all = [
+      ...litLengths.subarray(0, hlit),
+      ...distLengths.subarray(0, hdist),
+    ];
+    const runs = [];
+    for (let i = 0; i < all.length;) {
+      const value = all[i];
+      let run = 1;
+      while (i + run < all.length && all[i + run] === value) run++;
+      if (value === 0 && run >= 3) {
+        run = Math.min(run, 138);
+        runs.push(run >= 11 ? [18, run - 11] : [17, run - 3]);
+      } else if (value !== 0 && run >= 4) {
+        run = Math.min(run, 7);
+        runs.push([value, 0], [16, run - 4]);
+      } else {
+        run = 1;
+        runs.push([value, 0]);
+      }
+      i += run;
+    }
+
+    const clFreq = new Uint32Array(19);
+    for (const [symbol] of runs) clFreq[symbol]++;
+    const clLengths = DeflateCompressor.buildLengths(clFreq, 7);
+    let hclen = 19;
+    while (
+      hclen > 4 &&
+      clLengths[DeflateCompressor.CODE_LENGTH_ORDER[hclen - 1]] === 0
+    ) {
+      hclen--;
+    }
+
+    let bits = 14 + hclen * 3;
+    for (const [symbol] of runs) {
+      bits +=
+        clLengths[symbol] +
+        (symbol === 16 ? 2 : symbol === 17 ? 3 : symbol === 18 ? 7 : 0);
+    }
+    return {
+      hlit,
+      hdist,
+      hclen,
+      clLengths,
+      clCodes: DeflateCompressor.buildCodes(clLengths),
+      runs,
+      bits,
+    };
+  }
+
+  /**
+   * Huffman code lengths no longer than maxBits. Frequencies are flattened
+   * until the tree fits, which is what a length limit costs in practice.
+   */
+  static buildLengths(freqs, maxBits) {
+    const lengths = new Uint8Array(freqs.length);
+    let weights = Array.from(freqs);
+    for (;;) {
+      const leaves = [];
+      for (let s = 0; s < weights.length; s++) {
+        if (weights[s] > 0) leaves.push(s);
+      }
+      if (leaves.length === 0) return lengths;
+      if (leaves.length === 1) {
+        lengths[leaves[0]] = 1;
+        return lengths;
+      }
+      leaves.sort((a, b) => weights[a] - weights[b] || a - b);
+
+      // Two-queue Huffman: leaves 0..m-1, internal nodes after them
+      const m = leaves.length;
+      const weight = new Float64Array(2 * m - 1);
+      const parent = new Int32Array(2 * m - 1);
+      for (let i = 0; i < m; i++) weight[i] = weights[leaves[i]];
+      let leaf = 0;
+      let internal = m;
+      const pick = () =>
+        leaf < m && (internal >= next || weight[leaf] <= weight[internal])
+          ? leaf++
+          : internal++;
+      let next = m;
+      while (next < 2 * m - 1) {
+        const a = pick();
+        const b = pick();
+        weight[next] = weight[a] + weight[b];
+        parent[a] = next;
+        parent[b] = next;
+        next++;
+      }
+
+      const depth = new Uint8Array(2 * m - 1);
+      let longestCode = 0;
+      for (let node = 2 * m - 3; node >= 0; node--) {
+        depth[node] = depth[parent[node]] + 1;
+        if (node < m) longestCode = Math.max(longestCode, depth[node]);
+      }
+      if (longestCode <= maxBits) {
+        for (let i = 0; i < m; i++) lengths[leaves[i]] = depth[i];
+        return lengths;
+      }
+      weights = weights.map((w) => (w > 0 ? Math.max(1, w >> 1) : 0));
+    }
+  }
+
+  /**
+   * Canonical codes for the given lengths, bit-reversed for LSB-first output
+   */
+  static buildCodes(lengths) {
+    const counts = new Uint16Array(16);
+    for (const length of lengths) counts[length]++;
+    counts[0] = 0;
+    const nextCode = new Uint16Array(16);
+    for (let bits = 1, code = 0; bits < 16; bits++) {
+      code = (code + counts[bits - 1]) << 1;
+      nextCode[bits] = code;
+    }
+    const codes = new Uint16Array(lengths.length);
+    for (let s = 0; s < lengths.length; s++) {
+      const length = lengths[s];
+      if (length)
+        codes[s] = DeflateCompressor.reverseBits(nextCode[length]++, length);
+    }
+    return codes;
+  }
+
+  static reverseBits(code, length) {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | (code & 1);
+      code >>= 1;
+    }
+    return reversed;
+  }
+
+  static fixedLengths() {
+    if (!DeflateCompressor.fixed) {
+      const lit = new Uint8Array(288);
+      lit.fill(8, 0, 144);
+      lit.fill(9, 144, 256);
+      lit.fill(7, 256, 280);
+      lit.fill(8, 280, 288);
+      DeflateCompressor.fixed = { lit, dist: new Uint8Array(30).fill(5) };
+    }
+    return DeflateCompressor.fixed;
+  }
+
+  // Length (3-258) to length code index
+  static lengthCodeTable() {
+    const table = new Uint8Array(259);
+    for (let code = 0; code < 28; code++) {
+      const base = DeflateCompressor.LENGTH_BASE[code];
+      const span = 1 << DeflateCompressor.LENGTH_EXTRA[code];
+      table.fill(code, base, base + span);
+    }
+    table[258] = 28;
+    return table;
+  }
+
+  static distanceCode(distance) {
+    const { DIST_BASE } = DeflateCompressor;
+    let code = 29;
+    while (DIST_BASE[code] > distance) code--;
+    return code;
+  }
+
+  writeBits(value, count) {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.reserve(1);
+      this.out[this.outLength++] = this.bitBuffer & 0xff;
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  reserve(bytes) {
+    if (this.outLength + bytes <= this.out.length) return;
+    const grown = new Uint8Array(
+      Math.max(this.out.length * 2, this.outLength + bytes),
+    );
+    grown.set(this.out.subarray(0, this.outLength));
+    this.out = grown;
+  }
+
+  /**
+   * Hand over the whole bytes written so far
+   */
+  take() {
+    const bytes = this.out.slice(0, this.outLength);
+    this.outLength = 0;
+    return bytes;
+  }
+}
+
+/**
+ * Streaming raw DEFLATE decompressor. Input may be split anywhere: a block
+ * cut short is decoded again once more input arrives.
+ */
+class DeflateDecompressor {
+  static NEED_INPUT = Symbol("needInput");
+  static fixed = null;
+
+  constructor(dictionary = null) {
+    this.input = new Uint8Array(0);
+    this.bitPos = 0;
+    this.out = new Uint8Array(65536); // 32KB history + current output
+    this.outLength = 0;
+    this.done = false;
+    if (dictionary) {
+      // Matches may reach back into the preset dictionary
+      const preset = DeflateCompressor.toUint8Array(dictionary).subarray(
+        -DeflateCompressor.WINDOW_SIZE,
+      );
+      this.out.set(preset);
+      this.outLength = preset.length;
+    }
+  }
+
+  /**
+   * Feed compressed bytes; returns the bytes decoded from complete blocks
+   */
+  push(chunk) {
+    const bytes = DeflateCompressor.toUint8Array(chunk);
+    const consumed = this.bitPos >> 3;
+    const input = new Uint8Array(this.input.length - consumed + bytes.length);
+    input.set(this.input.subarray(consumed));
+    input.set(bytes, this.input.length - consumed);
+    this.input = input;
+    this.bitPos &= 7;
+    return this.decodeBlocks();
+  }
+
+  /**
+   * End of input: throws if the stream stopped before its final block
+   */
+  finish() {
+    const bytes = this.decodeBlocks();
+    if (!this.done) {
+      throw new Error("Truncated DEFLATE stream");
+    }
+    return bytes;
+  }
+
+  decodeBlocks() {
+    const { WINDOW_SIZE } = DeflateCompressor;
+    const chunks = [];
+    while (!this.done) {
+      const bitPos = this.bitPos;
+      const outLength = this.outLength;
+      try {
+        this.decodeBlock();
+      } catch (error) {
+        if (error !== DeflateDecompressor.NEED_INPUT) throw error;
+        this.bitPos = bitPos;
+        this.outLength = outLength;
+        break;
+      }
+      chunks.push(this.out.slice(outLength, this.outLength));
+      if (this.outLength > WINDOW_SIZE) {
+        this.out.copyWithin(0, this.outLength - WINDOW_SIZE, this.outLength);
+        this.outLength = WINDOW_SIZE;
+      }
+    }
+    return AdvancedCompressionEngine.concatBytes(chunks);
+  }
+
+  decodeBlock() {
+    const final = this.readBits(1);
+    const type = this.readBits(2);
+    if (type === 0) {
+      this.bitPos = (this.bitPos + 7) & ~7;
+      const length = this.readBits(16);
+      if ((this.readBits(16) ^ 0xffff) !== length) {
+        throw new Error("Corrupt DEFLATE stored block length");
+      }
+      const start = this.bitPos >> 3;
+      if (start + length > this.input.length)
+        throw DeflateDecompressor.NEED_INPUT;
+      this.reserve(length);
+      this.out.set(this.input.subarray(start, start + length), this.outLength);
+      this.outLength += length;
+      this.bitPos += length * 8;
+    } else if (type === 1 || type === 2) {
+      const [lit, dist] =
+        type === 1
+          ? DeflateDecompressor.fixedTables()
+          : this.readDynamicTables();
+      this.inflateCodes(lit, dist);
+    } else {
+      throw new Error("Invalid DEFLATE block type");
+    }
+    if (final) this.done = true;
+  }
+
+  inflateCodes(lit, dist) {
+    const C = DeflateCompressor;
+    for (;;) {
+      const symbol = this.decodeSymbol(lit);
+      if (symbol < 256) {
+        this.reserve(1);
+        this.out[this.outLength++] = symbol;
+        continue;
+      }
+      if (symbol === 256) return;
+      const lengthCode = symbol - 257;
+      if (lengthCode >= 29) throw new Error("Invalid DEFLATE length code");
+      const length =
+        C.LENGTH_BASE[lengthCode] + this.readBits(C.LENGTH_EXTRA[lengthCode]);
+      const distCode = this.decodeSymbol(dist);
+      if (distCode >= 30) throw new Error("Invalid DEFLATE distance code");
+      const distance =
+        C.DIST_BASE[distCode] + this.readBits(C.DIST_EXTRA[distCode]);
+      if (distance > this.outLength) {
+        throw new Error("DEFLATE distance reaches before the start of output");
+      }
+      this.reserve(length);
+      const out = this.out;
+      for (let i = 0, from = this.outLength - distance; i < length; i++) {
+        out[this.outLength++] = out[from + i];
+      }
+    }
+  }
+
+  readDynamicTables() {
+    const hlit = this.readBits(5) + 257;
+    const hdist = this.readBits(5) + 1;
+    const hclen = this.readBits(4) + 4;
+    const clLengths = new Uint8Array(19);
+    for (let i = 0; i < hclen; i++) {
+      clLengths[DeflateCompressor.CODE_LENGTH_ORDER[i]] = this.readBits(3);
+    }
+    const clTable = DeflateDecompressor.buildTable(clLengths);
+
+    const lengths = new Uint8Array(hlit + hdist);
+    for (let i = 0; i < lengths.length;) {
+      const symbol = this.decodeSymbol(clTable);
+      if (symbol < 16) {
+        lengths[i++] = symbol;
+        continue;
+      }
+      let value = 0;
+      let repeat;
+      if (symbol === 16) {
+        if (i === 0) throw new Error("Corrupt DEFLATE code lengths");
+        value = lengths[i - 1];
+        repeat = 3 + this.readBits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + this.readBits(3);
+      } else {
+        repeat = 11 + this.readBits(7);
+      }
+      if (i + repeat > lengths.length) {
+        throw new Error("Corrupt DEFLATE code lengths");
+      }
+      lengths.fill(value, i, i + repeat);
+      i += repeat;
+    }
+    if (lengths[256] === 0) {
+      throw new Error("DEFLATE block has no end-of-block code");
+    }
+    return [
+      DeflateDecompressor.buildTable(lengths.subarray(0, hlit)),
+      DeflateDecompressor.buildTable(lengths.subarray(hlit)),
+    ];
+  }
+
+  /**
+   * Lookup table indexed by the next maxBits input bits; each entry is
+   * symbol << 4 | code length, 0 for bit patterns that are no code
+   */
+  static buildTable(lengths) {
+    const maxBits = Math.max(1, ...lengths);
+    const codes = DeflateCompressor.buildCodes(lengths);
+    const entries = new Int32Array(1 << maxBits);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+      const length = lengths[symbol];
+      if (!length) continue;
+      for (let i = codes[symbol]; i < entries.length; i += 1 << length) {
+        entries[i] = (symbol << 4) | length;
+      }
+    }
+    return { entries, maxBits };
+  }
+
+  static fixedTables() {
+    if (!DeflateDecompressor.fixed) {
+      const { lit, dist } = DeflateCompressor.fixedLengths();
+      DeflateDecompressor.fixed = [
+        DeflateDecompressor.buildTable(lit),
+        DeflateDecompressor.buildTable(dist),
+      ];
+    }
+    return DeflateDecompressor.fixed;
+  }
+
+  decodeSymbol({ entries, maxBits }) {
+    const entry = entries[this.peekBits(maxBits)];
+    const length = entry & 15;
+    if (length === 0) {
+      if (this.bitPos + maxBits > this.input.length * 8) {
+        throw DeflateDecompressor.NEED_INPUT;
+      }
+      throw new Error("Invalid DEFLATE Huffman code");
+    }
+    if (this.bitPos + length > this.input.length * 8) {
+      throw DeflateDecompressor.NEED_INPUT;
+    }
+    this.bitPos += length;
+    return entry >> 4;
+  }
+
+  // Next `count` bits (up to 24) without consuming them; zero past the end
+  peekBits(count) {
+    const input = this.input;
+    const byte = this.bitPos >> 3;
+    const word =
+      input[byte] |
+      0 |
+      ((input[byte + 1] | 0) << 8) |
+      ((input[byte + 2] | 0) << 16) |
+      ((input[byte + 3] | 0) << 24);
+    return (word >>> (this.bitPos & 7)) & ((1 << count) - 1);
+  }
+
+  readBits(count) {
+    if (count === 0) return 0;
+    if (this.bitPos + count > this.input.length * 8) {
+      throw DeflateDecompressor.NEED_INPUT;
+    }
+    const value = this.peekBits(count);
+    this.bitPos += count;
+    return value;
+  }
+
+  reserve(bytes) {
+    if (this.outLength + bytes <= this.out.length) return;
+    const grown = new Uint8Array(
+      Math.max(this.out.length * 2, this.outLength + bytes),
+    );
+    grown.set(this.out.subarray(0, this.outLength));
+    this.out = grown;
+  }
+}
+
+/**
+ * Systematic Reed-Solomon erasure code over GF(2^8). Parity rows come
+ * from a Cauchy matrix, so any dataShards of the dataShards + parityShards
+ * shards are enough to rebuild the data.
+ */
+class ReedSolomonCodec {
+  static EXP = null;
+  static LOG = null;
+
+  constructor(dataShards, parityShards) {
+    if (dataShards + parityShards > 256) {
+      throw new Error(
+        `Reed-Solomon supports at most 256 packets in total, got ${dataShards} data + ${parityShards} parity; use a larger packetSize`,
+      );
+    }
+    ReedSolomonCodec.initTables();
+    this.dataShards = dataShards;
+    this.parityShards = parityShards;
+  }
+
+  static initTables() {
+    if (ReedSolomonCodec.EXP) return;
+    const exp = new Uint8Array(512);
+    const log = new Uint8Array(256);
+    for (let i = 0, x = 1; i < 255; i++) {
+      exp[i] = x;
+      log[x] = i;
+      x <<= 1;
+      if (x & 0x100) x ^= 0x11d;
+    }
+    for (let i = 255; i < 512; i++) exp[i] = exp[i - 255];
+    ReedSolomonCodec.EXP = exp;
+    ReedSolomonCodec.LOG = log;
+  }
+
+  static mul(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return ReedSolomonCodec.EXP[
+      ReedSolomonCodec.LOG[a] + ReedSolomonCodec.LOG[b]
+    ];
+  }
+
+  static inv(a) {
+    return ReedSolomonCodec.EXP[255 - ReedSolomonCodec.LOG[a]];
+  }
+
+  // Row of the encoding matrix: identity for data, Cauchy for parity
+  row(index) {
+    const row = new Uint8Array(this.dataShards);
+    if (index < this.dataShards) {
+      row[index] = 1;
+      return row;
+    }
+    for (let j = 0; j < this.dataShards; j++) {
+      row[j] = ReedSolomonCodec.inv(index ^ j);
+    }
+    return row;
+  }
+
+  /**
+   * @param {Uint8Array[]} shards - dataShards shards of equal length
+   * @returns {Uint8Array[]} parityShards parity shards
+   */
+  encode(shards) {
+    return Array.from({ length: this.parityShards }, (_, i) =>
+      this.combine(this.row(this.dataShards + i), shards),
+    );
+  }
+
+  /**
+   * @param {(Uint8Array|null)[]} shards - All data then parity shards,
+   *   null where lost
+   * @returns {Uint8Array[]} The data shards
+   */
+  reconstruct(shards) {
+    const present = [];
+    for (
+      let i = 0;
+      i < shards.length && present.length < this.dataShards;
+      i++
+    ) {
+      if (shards[i]) present.push(i);
+    }
+    if (present.length < this.dataShards) {
+      throw new Error("Not enough shards to reconstruct");
+    }
+    const decode = this.invert(present.map((i) => this.row(i)));
+    const inputs = present.map((i) => shards[i]);
+    return Array.from(
+      { length: this.dataShards },
+      (_, j) => shards[j] ?? this.combine(decode[j], inputs),
+    );
+  }
+
+  // Sum of coefficient * shard over GF(2^8)
+  combine(coefficients, shards) {
+    const { EXP, LOG } = ReedSolomonCodec;
+    const out = new Uint8Array(shards[0].length);
+    coefficients.forEach((c, k) => {
+      if (c === 0) return;
+      const logC = LOG[c];
+      const shard = shards[k];
+      for (let i = 0; i < out.length; i++) {
+        if (shard[i]) out[i] ^= EXP[logC + LOG[shard[i]]];
+      }
+    });
+    return out;
+  }
+
+  // Gauss-Jordan inverse of a square matrix over GF(2^8)
+  invert(matrix) {
+    const n = matrix.length;
+    const rows = matrix.map((row, i) => {
+      const augmented = new Uint8Array(2 * n);
+      augmented.set(row);
+      augmented[n + i] = 1;
+      return augmented;
+    });
+    for (let col = 0; col < n; col++) {
+      const pivot = rows.findIndex((row, r) => r >= col && row[col] !== 0);
+      if (pivot < 0) throw new Error("Singular Reed-Solomon matrix");
+      [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+      const scale = ReedSolomonCodec.inv(rows[col][col]);
+      rows[col] = rows[col].map((v) => ReedSolomonCodec.mul(v, scale));
+      for (let r = 0; r < n; r++) {
+        const factor = rows[r][col];
+        if (r === col || factor === 0) continue;
+        for (let k = 0; k < 2 * n; k++) {
+          rows[r][k] ^= ReedSolomonCodec.mul(factor, rows[col][k]);
+        }
+      }
+    }
+    return rows.map((row) => row.slice(n));
+  }
+}
+
+/**
+ * Packets that fail verification; badPackets lists their ids
+ */
+class PacketIntegrityError extends Error {
+  constructor(message, badPackets = []) {
+    super(message);
+    this.name = "PacketIntegrityError";
+    this.badPackets = badPackets;
+  }
+}
+
 // Global instance
 window.CompressionEngine = new AdvancedCompressionEngine();
 
@@ -116,14 +116,23 @@ class EnterpriseEncryptionModule {
    * @returns {string} Compressed data
    */
   compress(data) {
-    // Simple LZ-based compression algorithm
-    const dict = {};
+    if (!data) return "lz2:";
+
+    // LZW over the UTF-8 bytes, so literals (0-255) never collide with
+    // dictionary codes (256 and up)
+    const text = Array.from(new TextEncoder().encode(data), (byte) =>
+      String.fromCharCode(byte),
+    ).join("");
+
+    // Simple LZ-based compression algorithm (phrases such as "constructor"
+    // must not find inherited keys)
+    const dict = Object.create(null);
     const output = [];
-    let phrase = data[0];
+    let phrase = text[0];
     let code = 256;
 
-    for (let i = 1; i < data.length; i++) {
-      const currChar = data[i];
+    for (let i = 1; i < text.length; i++) {
+      const currChar = text[i];
       const combined = phrase + currChar;
 
       if (dict[combined] !== undefined) {
@@ -137,21 +146,49 @@ class EnterpriseEncryptionModule {
     }
     output.push(phrase.length > 1 ? dict[phrase] : phrase.charCodeAt(0));
 
+    // Codes outgrow a byte as the dictionary fills, so varint-pack them
+    const bytes = [];
+    for (let value of output) {
+      while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+      }
+      bytes.push(value);
+    }
+
     // Convert to base64 for storage
-    return btoa(String.fromCharCode.apply(null, output));
+    return "lz2:" + this.arrayBufferToBase64(new Uint8Array(bytes));
   }
 
   /**
    * Decompress data after decryption
-   * @param {string} compressed - Compressed base64 data
+   * @param {string} compressed - Compressed base64 data (lz2: codes are
+   *   varint-packed and decode to UTF-8 bytes)
    * @returns {string} Original data
    */
   decompress(compressed) {
     try {
-      const data = atob(compressed);
       const codes = [];
-      for (let i = 0; i < data.length; i++) {
-        codes.push(data.charCodeAt(i));
+      if (compressed.startsWith("lz2:")) {
+        const bytes = this.base64ToArrayBuffer(compressed.slice(4));
+        for (let i = 0; i < bytes.length;) {
+          let value = 0;
+          let shift = 0;
+          let byte;
+          do {
+            byte = bytes[i++];
+            value |= (byte & 0x7f) << shift;
+            shift += 7;
+          } while (byte & 0x80);
+          codes.push(value);
+        }
+        if (codes.length === 0) return "";
+      } else {
+        // Before lz2: one character per code
+        const data = atob(compressed);
+        for (let i = 0; i < data.length; i++) {
+          codes.push(data.charCodeAt(i));
+        }
       }
 
       const dict = {};
@@ -177,7 +214,10 @@ class EnterpriseEncryptionModule {
         phrase = entry;
       }
 
-      return output.join("");
+      if (!compressed.startsWith("lz2:")) return output.join("");
+      return new TextDecoder("utf-8", { fatal: true }).decode(
+        Uint8Array.from(output.join(""), (char) => char.charCodeAt(0)),
+      );
     } catch (error) {
       // If decompression fails, return as-is (might be uncompressed legacy data)
       return compressed;
@@ -289,6 +329,55 @@ class EnterpriseEncryptionModule {
     }
   }
 
+  /**
+   * Encrypt raw bytes with AES-256-GCM, without text conversion
+   * @param {Uint8Array} bytes - Data to encrypt
+   * @returns {Promise<Uint8Array>} IV + ciphertext + tag
+   */
+  async encryptBytes(bytes) {
+    if (!this.isInitialized) {
+      throw new Error(
+        "Encryption module not initialized. Call initialize() first.",
+      );
+    }
+
+    const iv = this.generateIV();
+    const encryptedBuffer = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv: iv, tagLength: this.tagLength * 8 },
+      this.masterKey,
+      bytes,
+    );
+
+    const combined = new Uint8Array(iv.length + encryptedBuffer.byteLength);
+    combined.set(iv, 0);
+    combined.set(new Uint8Array(encryptedBuffer), iv.length);
+    return combined;
+  }
+
+  /**
+   * Decrypt bytes produced by encryptBytes()
+   * @param {Uint8Array} combined - IV + ciphertext + tag
+   * @returns {Promise<Uint8Array>} Decrypted bytes
+   */
+  async decryptBytes(combined) {
+    if (!this.isInitialized) {
+      throw new Error(
+        "Encryption module not initialized. Call initialize() first.",
+      );
+    }
+
+    const decryptedBuffer = await crypto.subtle.decrypt(
+      {
+        name: "AES-GCM",
+        iv: combined.slice(0, this.ivLength),
+        tagLength: this.tagLength * 8,
+      },
+      this.masterKey,
+      combined.slice(this.ivLength),
+    );
+    return new Uint8Array(decryptedBuffer);
+  }
+
   /**
    * Secure storage wrapper - automatically encrypts data before storage
    * @param {string} key - Storage key